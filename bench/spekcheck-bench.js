@@ -0,0 +1,182 @@
+// Copyright (C) 2026 The SpekCheck developers
+//
+// SpekCheck is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// SpekCheck is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with SpekCheck.  If not, see <http://www.gnu.org/licenses/>.
+
+// Benchmark of the SpekCheck computations.
+//
+// Runs the computations from the dye test dialog (excitation and
+// emission efficiency, and brightness, of all dyes on a setup) and
+// the preparation of the plot data in SetupPlot.render, without a web
+// browser.  Run it with node from the top directory of SpekCheck:
+//
+//     node bench/spekcheck-bench.js [--baseline=FILE] [SETUP NAME] [REPEATS]
+//
+// With --baseline, the same computations are also timed with another
+// spekcheck.js, and displayed with how many times faster or slower
+// they are now.  The other spekcheck.js must read the same data
+// files.  For example, to compare with the version before Spectrum
+// data was stored on typed arrays, from a git checkout:
+//
+//     git show COMMIT:js/spekcheck.js > /tmp/spekcheck-old.js
+//     node bench/spekcheck-bench.js --baseline=/tmp/spekcheck-old.js 'WF-Quad GFP'
+//
+// where COMMIT is the parent of the one which added this benchmark.
+//
+// It reads the data files directly so the data indices (the json
+// files on the data directory) must have been built.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const topdir = path.join(__dirname, '..');
+
+let baseline = null;
+const args = [];
+for (let arg of process.argv.slice(2)) {
+    if (arg.startsWith('--baseline='))
+        baseline = arg.slice('--baseline='.length);
+    else
+        args.push(arg);
+}
+const setup_name = args[0] || 'Confocal GFP';
+const repeats = parseInt(args[1] || '20');
+
+
+// SetupPlot needs Chart.js and a canvas, neither of which we have,
+// and we are only interested in the time to prepare the datasets
+// anyway.  So this is a Chart that does nothing.
+class NullChart
+{
+    constructor(context, config) {
+        this.data = config.data;
+        this.options = config.options;
+        this.options.plugins = {title: {}};
+    }
+
+    update() {
+    }
+}
+
+// The classes of a spekcheck.js file, each file on its own context.
+function load(fpath) {
+    const context = vm.createContext({console: console, Chart: NullChart});
+    vm.runInContext(fs.readFileSync(fpath, 'utf8'), context,
+                    {filename: path.basename(fpath)});
+    // Top level class declarations are not properties of the
+    // context global object, but are visible to other scripts on
+    // the context.
+    return vm.runInContext(
+        '({Detector, Dye, Excitation, Filter, Setup, SetupPlot})', context
+    );
+}
+
+
+function readIndex(dtype) {
+    const fpath = path.join(topdir, 'data', dtype + '.json');
+    return JSON.parse(fs.readFileSync(fpath, 'utf8'));
+}
+
+function readText(dir, uid) {
+    return fs.readFileSync(path.join(topdir, 'data', dir, uid + '.csv'), 'utf8');
+}
+
+function readData(cls, dir, uid) {
+    return cls.constructFromText(readText(dir, uid), {uid: uid});
+}
+
+// Time, in milliseconds, to run 'callback' 'repeats' times.
+function time(callback) {
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < repeats; i++)
+        callback();
+    return Number(process.hrtime.bigint() - start) / 1e6 / repeats;
+}
+
+
+const description = new Map(readIndex('setups')).get(setup_name);
+if (description === undefined) {
+    console.error(`no setup named '${ setup_name }'`);
+    process.exit(1);
+}
+
+// Only time the parsing, not the reading of the files.
+const dye_texts = readIndex('dyes').map(uid => [uid, readText('dyes', uid)]);
+
+// Returns:
+//     Array of [name, milliseconds] of each computation.
+function bench(sc) {
+    let dyes;
+    const parse_ms = time(function() {
+        dyes = dye_texts.map(x => sc.Dye.constructFromText(x[1], {uid: x[0]}));
+    });
+
+    const setup = new sc.Setup;
+    if (description.detector !== null)
+        setup.detector = readData(sc.Detector, 'detectors', description.detector);
+    if (description.excitation !== null)
+        setup.excitation = readData(sc.Excitation, 'excitation',
+                                    description.excitation);
+    for (let path_name of ['ex_path', 'em_path'])
+        setup[path_name].push(...description[path_name].map(
+            x => ({filter: readData(sc.Filter, 'filters', x.filter), mode: x.mode})
+        ));
+
+    // Like TestDyesDialog._updateResults
+    const test_dyes_ms = time(function() {
+        const test_setup = setup.clone();
+        for (let dye of dyes) {
+            test_setup.dye = dye;
+            const result = [
+                test_setup.ex_efficiency,
+                test_setup.em_efficiency,
+                test_setup.brightness,
+            ];
+        }
+    });
+
+    // Changing the dye on the setup triggers SetupPlot.render.
+    const plot = new sc.SetupPlot([{getContext: () => null}], setup);
+    const render_ms = time(function() {
+        for (let dye of dyes)
+            setup.dye = dye;
+    });
+
+    return [
+        ['parse dye files', parse_ms],
+        ['test all dyes', test_dyes_ms],
+        ['render all dyes', render_ms],
+    ];
+}
+
+
+const results = bench(load(path.join(topdir, 'js', 'spekcheck.js')));
+console.log(`Setup '${ setup_name }' with ${ dye_texts.length } dyes`
+            + ` (mean of ${ repeats } runs)`);
+if (baseline === null) {
+    for (let [name, ms] of results)
+        console.log(`  ${ (name + ':').padEnd(18) } ${ ms.toFixed(2) } ms`);
+} else {
+    const base_results = bench(load(baseline));
+    console.log(`  baseline is ${ baseline }`);
+    for (let i = 0; i < results.length; i++) {
+        const [name, ms] = results[i];
+        const base_ms = base_results[i][1];
+        console.log(`  ${ (name + ':').padEnd(18) } ${ base_ms.toFixed(2) } ms`
+                    + ` -> ${ ms.toFixed(2) } ms`
+                    + ` (${ (base_ms / ms).toFixed(1) }x)`);
+    }
+}
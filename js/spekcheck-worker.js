@@ -0,0 +1,37 @@
+// Copyright (C) 2026 The SpekCheck developers
+//
+// SpekCheck is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// SpekCheck is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with SpekCheck.  If not, see <http://www.gnu.org/licenses/>.
+
+
+// Web Worker to run the jobs of a BatchRunner.  See BatchRunner in
+// spekcheck.js.
+
+'use strict';
+
+importScripts('spekcheck.js');
+
+
+// The data is not read from the data directories.  Instead, the
+// BatchRunner sends the text of the files together with the jobs.
+// Synthetic data is generated here too.
+const collections = {};
+for (let dtype of ['detector', 'dye', 'excitation', 'filter', 'objective',
+                   'background'])
+    collections[dtype] = new DataCollection([], null,
+                                            spekcheck_db[dtype].reader,
+                                            spekcheck_db[dtype].generator);
+
+onmessage = function(ev) {
+    BatchRunner.handleJob(collections, ev.data, (msg) => postMessage(msg));
+};
@@ -20,6 +20,10 @@
 
 
 // Merges all properties from the to_mix class into the base class.
+//
+// Properties already defined by the base class are not replaced, so
+// that the base class can overload methods of the mixin, such as
+// ValidationMixin.validate.
 function mixin(base, to_mix)
 {
     // Go down the prototype tree looking for the properties to merge
@@ -31,7 +35,8 @@ function mixin(base, to_mix)
             // Don't copy the constructor since that is created
             // automatically when using the class {} syntax and we
             // don't want to overload the base constructor.
-            if (property === 'constructor')
+            if (property === 'constructor'
+                || base.prototype.hasOwnProperty(property))
                 continue;
 
             base.prototype[property] = prototype[property];
@@ -99,23 +104,113 @@ class EventPubMixin
 // absorption properties, each of them a Spectrum instance.
 //
 // Args:
-//     wavelength (Array<float>): in nanometers.
-//     data (Array<float>): values in the [0 1] range.
+//     wavelength (Array<float>|Float64Array): in nanometers.
+//     data (Array<float>|Float64Array): values in the [0 1] range.
 //
 // We want this class to provide immutable objects which is why the
 // methods do not modify the data.  This allow SetupPlot to keep a
-// cache of each Spectrum instance converted to Chartjs dataset.
+// cache of each Spectrum instance converted to Chartjs dataset.  The
+// arithmetic methods (add, subtract, multiply, etc) return a new
+// Spectrum instance.
+//
+// Both wavelength and data are stored as Float64Array.  The data is
+// copied on construction but the wavelength, which we call a grid,
+// is shared between Spectrum instances.  Grids are never modified
+// and a Float64Array passed as wavelength is used as is, so it must
+// not be modified either.  Grids with regular steps, which is what
+// most of our data uses, are shared via Spectrum.grid.  Because of
+// this, computations between two Spectrum often find that they have
+// the same grid and skip the interpolation completely.
 class Spectrum
 {
     constructor(wavelength, data) {
-        this.wavelength = wavelength.slice(0); // Array of floats
-        this.data = data.slice(0); // Array of floats
+        if (wavelength instanceof Float64Array)
+            this.wavelength = wavelength;
+        else
+            this.wavelength = Spectrum.toGrid(wavelength);
+        this.data = Float64Array.from(data);
 
         this._area = null;
+        this._resampled = new WeakMap; // cache of resample by grid
+    }
+
+    // Construct a Spectrum without copying the data.  To be used by
+    // the Spectrum methods with data that is not used anywhere else.
+    static
+    _fromArrays(wavelength, data) {
+        const spectrum = Object.create(Spectrum.prototype);
+        spectrum.wavelength = wavelength;
+        spectrum.data = data;
+        spectrum._area = null;
+        spectrum._resampled = new WeakMap;
+        return spectrum;
+    }
+
+    // A shared grid of 'n' wavelengths, from 'first', in 'step'
+    // increments.
+    static
+    grid(first, step, n) {
+        // Round to avoid floating point errors, e.g., 300.00000004
+        const round = (x) => Math.round(x * 1e6) / 1e6;
+        first = round(first);
+        step = round(step);
+        const key = `${ first } ${ step } ${ n }`;
+        let grid = Spectrum._grids.get(key);
+        if (grid === undefined) {
+            grid = new Float64Array(n);
+            for (let i = 0; i < n; i++)
+                grid[i] = round(first + i * step);
+            Spectrum._regular.set(grid, {first: first, step: step});
+            if (Spectrum._grids.size >= Spectrum.max_grids)
+                Spectrum._grids.delete(Spectrum._grids.keys().next().value);
+        } else
+            Spectrum._grids.delete(key);
+        // Map keeps insertion order, so re-inserting on each use
+        // keeps the least recently used grid first.
+        Spectrum._grids.set(key, grid);
+        return grid;
+    }
+
+    // Convert an Array of wavelengths into a grid.  If the
+    // wavelengths are in regular steps, the returned grid is shared.
+    static
+    toGrid(wavelength) {
+        const n = wavelength.length;
+        if (n > 1) {
+            const first = wavelength[0];
+            const step = wavelength[1] - wavelength[0];
+            let regular = step > 0.0;
+            for (let i = 2; regular && i < n; i++)
+                if (Math.abs(wavelength[i] - (first + i * step)) > 1e-6)
+                    regular = false;
+            if (regular)
+                return Spectrum.grid(first, step, n);
+        }
+        return Float64Array.from(wavelength);
+    }
+
+    // Part of a grid, with only the wavelengths in the [init end]
+    // range.
+    static
+    subGrid(grid, init, end) {
+        let i_first = 0;
+        while (i_first < grid.length && grid[i_first] < init)
+            i_first++;
+        let i_last = grid.length;
+        while (i_last > i_first && grid[i_last -1] > end)
+            i_last--;
+
+        if (i_first === 0 && i_last === grid.length)
+            return grid;
+        const regular = Spectrum._regular.get(grid);
+        if (regular !== undefined)
+            return Spectrum.grid(grid[i_first], regular.step, i_last - i_first);
+        else
+            return grid.subarray(i_first, i_last);
     }
 
     clone() {
-        // The constructor does the cloning of the arrays.
+        // The constructor does the cloning of the data.
         return new Spectrum(this.wavelength, this.data);
     }
 
@@ -128,9 +223,11 @@ class Spectrum
     // Wavelength where this data has its maximum value.
     get
     peak_wavelength() {
-        const max_index= this.data.reduce(
-            (iMax, x, i, arr) => x > arr[iMax] ? i : iMax, 0
-        );
+        const data = this.data;
+        let max_index = 0;
+        for (let i = 1; i < data.length; i++)
+            if (data[i] > data[max_index])
+                max_index = i;
         return this.wavelength[max_index];
     }
 
@@ -152,9 +249,9 @@ class Spectrum
     }
 
     validate() {
-        if (! (this.wavelength instanceof Array))
+        if (! (this.wavelength instanceof Float64Array))
             return "No 'wavelength' property for spectrum";
-        if (! (this.data instanceof Array))
+        if (! (this.data instanceof Float64Array))
             return "No 'data' property for spectrum";
         if (this.wavelength.length !== this.data.length)
             return "'data' and 'wavelength' arrays must have the same length";
@@ -165,45 +262,90 @@ class Spectrum
     // Interpolate data for specified wavelengths.
     //
     // Args:
-    //     points (Array<float>): wavelengths values for which we
-    //         should interpolate data.  Must be in increasing order.
+    //     points (Array<float>|Float64Array): wavelengths values for
+    //         which we should interpolate data.  Must be in
+    //         increasing order.
+    //     extrapolation (String): how to handle wavelengths outside
+    //         this Spectrum range.  One of 'zero', 'one', or 'flat'
+    //         (same value as the nearest edge of the data).
     //
     // Returns:
-    //     Array with interpolated values.  For wavelengths outside
-    //     this Spectrum range (extrapolation), data will be zero.
-    interpolate(points) {
-        const new_data = new Array(points.length);
+    //     Float64Array with interpolated values.  For wavelengths
+    //     outside this Spectrum range (extrapolation), data will be
+    //     zero unless a different 'extrapolation' is specified.
+    interpolate(points, extrapolation='zero') {
+        let below, above;
+        if (extrapolation === 'zero')
+            [below, above] = [0.0, 0.0];
+        else if (extrapolation === 'one')
+            [below, above] = [1.0, 1.0];
+        else if (extrapolation === 'flat')
+            [below, above] = [this.data[0], this.data[this.length -1]];
+        else
+            throw new Error(`invalid extrapolation '${ extrapolation }'`);
+
+        // Same grid, nothing to interpolate.
+        if (points === this.wavelength)
+            return this.data.slice(0);
+
+        const new_data = new Float64Array(points.length);
+        const wavelength = this.wavelength;
+        const data = this.data;
+        const first = wavelength[0];
+        const last = wavelength[this.length -1];
+
+        // Both regular grids with the same steps, and aligned.
+        // Then there is no interpolation at all, only an offset.
+        const this_regular = Spectrum._regular.get(wavelength);
+        const points_regular = Spectrum._regular.get(points);
+        if (this_regular !== undefined && points_regular !== undefined
+            && this_regular.step === points_regular.step) {
+            const offset = (points[0] - first) / this_regular.step;
+            if (Math.abs(offset - Math.round(offset)) < 1e-6) {
+                const shift = Math.round(offset);
+                for (let i = 0; i < points.length; i++) {
+                    const this_i = i + shift;
+                    if (this_i < 0)
+                        new_data[i] = below;
+                    else if (this_i >= this.length)
+                        new_data[i] = above;
+                    else
+                        new_data[i] = data[this_i];
+                }
+                return new_data;
+            }
+        }
 
         let i = 0; // index into the interpolated data (new_data)
 
-        // Outside the existing data.  Extrapolate to zero.
-        for (; points[i] < this.wavelength[0]; i++)
-            new_data[i] = 0.0;
+        // Outside the existing data.  Extrapolate.
+        for (; i < points.length && points[i] < first; i++)
+            new_data[i] = below;
 
         let this_i = 0; // index into this data/wavelength
         for (; i < points.length; i++) {
-            if (points[i] > this.wavelength[this.length -1]) {
-                // Outside the existing data.  Extrapolate to zero.
-                new_data.fill(0.0, i);
+            const x = points[i];
+            if (x > last) {
+                // Outside the existing data.  Extrapolate.
+                new_data.fill(above, i);
                 break;
             }
 
-            while (points[i] > this.wavelength[this_i])
+            while (x > wavelength[this_i])
                 this_i++;
 
             // Most data we have uses the same wavelength values (1nm
             // steps of wavelength) so we often get away without
             // actually interpolating anything.
-            if (points[i] === this.wavelength[this_i])
-                new_data[i] = this.data[this_i++];
+            if (x === wavelength[this_i])
+                new_data[i] = data[this_i];
             else {
                 // Fine! We will do interpolation.
-                const x0 = this.wavelength[this_i -1];
-                const x1 = this.wavelength[this_i];
-                const y0 = this.data[this_i -1];
-                const y1 = this.data[this_i];
-                const slope = ((y1 - y0) / (x1 - x0));
-                new_data[i] = y0 + slope * (points[i] - x0);
+                const x0 = wavelength[this_i -1];
+                const x1 = wavelength[this_i];
+                const y0 = data[this_i -1];
+                const y1 = data[this_i];
+                new_data[i] = y0 + (y1 - y0) * (x - x0) / (x1 - x0);
             }
         }
         return new_data;
@@ -211,6 +353,9 @@ class Spectrum
 
     // Multiply this instance data by something else.
     //
+    // This is kept for backwards compatibility.  New code should
+    // prefer 'multiply' which returns a Spectrum instance.
+    //
     // Args:
     //     other (Spectrum|Array|Number): if 'other' is an Array, then
     //         it must have the same length as this instance.
@@ -223,8 +368,8 @@ class Spectrum
         if (other instanceof Spectrum)
             other = other.interpolate(this.wavelength);
 
-        const new_data = this.data.slice(0);
-        if (Array.isArray(other))
+        const new_data = Array.from(this.data);
+        if (Array.isArray(other) || ArrayBuffer.isView(other))
             for (let i = 0; i < this.length; i++)
                 new_data[i] *= other[i];
         else if (typeof(other) === 'number' || other instanceof Number)
@@ -235,9 +380,356 @@ class Spectrum
 
         return new_data;
     }
+
+    // Sorted union of two grids, without duplicates.
+    static
+    mergeWavelengths(a, b) {
+        if (a === b)
+            return a;
+
+        // Regular grids with the same steps, and aligned, are merged
+        // into another regular grid.
+        const a_regular = Spectrum._regular.get(a);
+        const b_regular = Spectrum._regular.get(b);
+        if (a_regular !== undefined && b_regular !== undefined
+            && a_regular.step === b_regular.step) {
+            const step = a_regular.step;
+            const offset = (b[0] - a[0]) / step;
+            if (Math.abs(offset - Math.round(offset)) < 1e-6) {
+                const first = Math.min(a[0], b[0]);
+                const last = Math.max(a[a.length -1], b[b.length -1]);
+                return Spectrum.grid(first, step,
+                                     Math.round((last - first) / step) + 1);
+            }
+        }
+
+        const merged = new Float64Array(a.length + b.length);
+        let n = 0;
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            let next;
+            if (j === b.length || (i < a.length && a[i] < b[j]))
+                next = a[i++];
+            else if (i === a.length || b[j] < a[i])
+                next = b[j++];
+            else { // same value in both
+                next = a[i++];
+                j++;
+            }
+            merged[n++] = next;
+        }
+        return merged.slice(0, n);
+    }
+
+    // Apply a binary operation, element by element, to this and other.
+    //
+    // Args:
+    //     other (Spectrum|Number):
+    //     op (function): takes two numbers and returns a number.
+    //
+    // Returns:
+    //     A new Spectrum.  If other is a Spectrum instance, the new
+    //     Spectrum wavelengths are the union of both wavelengths
+    //     (values outside a Spectrum range are zero, see
+    //     'interpolate').
+    _elementwise(other, op) {
+        if (typeof(other) === 'number' || other instanceof Number) {
+            const scalar = Number(other);
+            const data = new Float64Array(this.length);
+            for (let i = 0; i < data.length; i++)
+                data[i] = op(this.data[i], scalar);
+            return Spectrum._fromArrays(this.wavelength, data);
+        } else if (other instanceof Spectrum) {
+            const wavelength = Spectrum.mergeWavelengths(this.wavelength,
+                                                         other.wavelength);
+            const a = this.interpolate(wavelength);
+            const b = (other.wavelength === wavelength
+                       ? other.data : other.interpolate(wavelength));
+            for (let i = 0; i < a.length; i++)
+                a[i] = op(a[i], b[i]);
+            return Spectrum._fromArrays(wavelength, a);
+        } else
+            throw new Error(`can't operate on '${ typeof(other) }'`);
+    }
+
+    add(other) {
+        return this._elementwise(other, (a, b) => a + b);
+    }
+
+    subtract(other) {
+        return this._elementwise(other, (a, b) => a - b);
+    }
+
+    multiply(other) {
+        return this._elementwise(other, (a, b) => a * b);
+    }
+
+    // Division by zero gives zero.  This follows the assumption that
+    // data is zero whenever we have no information.
+    divide(other) {
+        return this._elementwise(other, (a, b) => b === 0.0 ? 0.0 : a / b);
+    }
+
+    scale(factor) {
+        if (typeof(factor) !== 'number' && ! (factor instanceof Number))
+            throw new Error(`can't scale by '${ typeof(factor) }'`);
+        return this.multiply(factor);
+    }
+
+    // Scale data so that it peaks at one, or so that its area is one.
+    //
+    // Args:
+    //     to (String): 'peak' or 'area'.
+    normalise(to='peak') {
+        let factor;
+        if (to === 'peak')
+            factor = this.data.reduce((a, b) => Math.max(a, b), -Infinity);
+        else if (to === 'area')
+            factor = this.area;
+        else
+            throw new Error(`invalid normalisation '${ to }'`);
+
+        if (! (factor > 0.0))
+            throw new Error(`can't normalise spectrum with ${ to } of zero`);
+        return this.scale(1.0 / factor);
+    }
+
+    clip(min=0.0, max=1.0) {
+        const data = this.data.map(x => x < min ? min : (x > max ? max : x));
+        return Spectrum._fromArrays(this.wavelength, data);
+    }
+
+    // Interpolate this Spectrum into new wavelengths.
+    //
+    // Args:
+    //     points (Array<float>|Float64Array): see 'interpolate'.
+    //     extrapolation (String): see 'interpolate'.
+    resample(points, extrapolation='zero') {
+        if (points === this.wavelength)
+            return this;
+        if (! (points instanceof Float64Array))
+            points = Spectrum.toGrid(points);
+
+        // Spectrum instances are immutable so we can keep a cache of
+        // them on the same grids.  Grids are shared, so this happens
+        // often, e.g., resample a detector QE for each dye.
+        let cache = this._resampled.get(points);
+        if (cache === undefined) {
+            cache = {};
+            this._resampled.set(points, cache);
+        }
+        if (cache[extrapolation] === undefined)
+            cache[extrapolation] = Spectrum._fromArrays(
+                points, this.interpolate(points, extrapolation)
+            );
+        return cache[extrapolation];
+    }
+
+    // Spectrum with only the [init end] wavelength range.  If the
+    // range limits are within this Spectrum range, their values are
+    // interpolated so that the cropped Spectrum starts and ends
+    // exactly at the range limits.
+    crop(init, end) {
+        if (init > end)
+            throw new Error('crop range must be in increasing order');
+
+        const wavelength = [];
+        const first = this.wavelength[0];
+        const last = this.wavelength[this.length -1];
+        if (init > first && init < last)
+            wavelength.push(init);
+        for (let x of this.wavelength)
+            if (x >= init && x <= end && x !== wavelength[0])
+                wavelength.push(x);
+        if (end > first && end < last && wavelength[wavelength.length -1] !== end)
+            wavelength.push(end);
+
+        return this.resample(wavelength);
+    }
+
+    // Spectrum of 1-x, e.g., reflection from transmission.
+    complement() {
+        return Spectrum._fromArrays(this.wavelength,
+                                    this.data.map(x => 1.0 - x));
+    }
+
+    // Value at a single wavelength.
+    //
+    // Args:
+    //     wavelength (float):
+    //     extrapolation (String): see 'interpolate'.
+    valueAt(wavelength, extrapolation='zero') {
+        return this.interpolate([wavelength], extrapolation)[0];
+    }
+
+    // Spectrum with this data, e.g., transmission, converted to
+    // optical density.  Data with a value of zero, which we use for
+    // no information, will be Infinity.  Because of this, and
+    // because OD values are not in the [0 1] interval, the returned
+    // instance is not valid.  It is meant for display and reports
+    // only.
+    od() {
+        return Spectrum._fromArrays(this.wavelength,
+                                    this.data.map(Spectrum.toOD));
+    }
+
+    // Convert a linear value, e.g., transmission, to optical density.
+    static
+    toOD(x) {
+        return -Math.log10(x);
+    }
+
+    // Construct a Spectrum instance from optical density values.
+    //
+    // Args:
+    //     wavelength (Array<float>|Float64Array): in nanometers.
+    //     od (Array<float>|Float64Array): optical density values.
+    static
+    fromOD(wavelength, od) {
+        const data = new Float64Array(od.length);
+        for (let i = 0; i < od.length; i++)
+            data[i] = Math.pow(10, -od[i]);
+        return new Spectrum(wavelength, data);
+    }
 }
 mixin(Spectrum, ValidationMixin);
 
+// Shared grids, see Spectrum.grid.  Maps a String with first, step,
+// and length to the grid.  Only the 'max_grids' most recently used
+// are kept.  An evicted grid is still valid for the spectra that use
+// it, it is only no longer shared with new spectra.
+Spectrum._grids = new Map;
+Spectrum.max_grids = 64;
+
+// Maps shared grids with regular steps to an Object with their
+// 'first' wavelength and 'step'.
+Spectrum._regular = new WeakMap;
+
+
+// Policy for the wavelengths used when combining spectra, e.g., when
+// computing the transmission of a FilterStack.
+//
+// Args:
+//     step (float): distance between wavelengths, in nanometers.
+//     min (float|null): first wavelength.  If null, it is taken from
+//         the spectra being combined.
+//     max (float|null): last wavelength.  If null, it is taken from
+//         the spectra being combined.
+//     extrapolation (String): the value of a spectrum outside its
+//         measured range.  One of 'zero', 'one', or 'flat'.  See
+//         Spectrum.interpolate.
+//
+// We want this class to provide immutable objects.  To change the
+// sampling of a Setup or FilterStack, set a new Sampling instance.
+class Sampling
+{
+    constructor({step=1.0, min=null, max=null, extrapolation='zero'} = {}) {
+        this.step = step;
+        this.min = min;
+        this.max = max;
+        this.extrapolation = extrapolation;
+    }
+
+    validate() {
+        if (! (this.step >= Sampling.min_step) || ! isFinite(this.step))
+            return `sampling step must be at least ${ Sampling.min_step } nm`;
+        for (let name of ['min', 'max'])
+            if (this[name] !== null && ! (Number.isFinite(this[name])
+                                          && this[name] >= 0.0))
+                return `sampling ${ name } must be a non-negative number or null`;
+        if (this.min !== null && this.max !== null) {
+            if (this.min >= this.max)
+                return 'sampling min must be less than max';
+            if ((this.max - this.min) / this.step >= Sampling.max_length)
+                return (`sampling range must be less than`
+                        + ` ${ Sampling.max_length } steps`);
+        }
+        if (! ['zero', 'one', 'flat'].includes(this.extrapolation))
+            return 'sampling extrapolation must be zero, one, or flat';
+    }
+
+    // Wavelength range to use when combining spectra.
+    //
+    // If this policy does not specify a range, then it depends on
+    // the extrapolation.  If data outside a spectrum range is zero,
+    // then there's no point on computing wavelengths outside the
+    // range of any of the spectra so we use their intersection.
+    // Otherwise, we use their union.
+    //
+    // Args:
+    //     spectra (Array<Spectrum>):
+    //
+    // Returns:
+    //     A two element Array, first and last wavelength.
+    range(spectra) {
+        const use_intersection = this.extrapolation === 'zero';
+        let init = use_intersection ? -Infinity : Infinity;
+        let end = use_intersection ? Infinity : -Infinity;
+        for (let spectrum of spectra) {
+            const x_init = spectrum.wavelength[0];
+            const x_end = spectrum.wavelength[spectrum.length -1];
+            if (use_intersection) {
+                init = Math.max(init, x_init);
+                end = Math.min(end, x_end);
+            } else {
+                init = Math.min(init, x_init);
+                end = Math.max(end, x_end);
+            }
+        }
+        if (this.min !== null)
+            init = this.min;
+        if (this.max !== null)
+            end = this.max;
+        return [init, end];
+    }
+
+    // Wavelengths between init and end, in steps of this policy.
+    //
+    // The grid is aligned to multiples of the step so that grids
+    // from different ranges have the same wavelength values.  Throws
+    // if the grid would be longer than Sampling.max_length, which
+    // may happen with a range from the data.
+    grid(init, end) {
+        if (! isFinite(init) || ! isFinite(end))
+            throw new Error('sampling range must be finite');
+
+        const step = this.step;
+        // Round to avoid floating point errors, e.g., 300.00000004
+        const round = (x) => Math.round(x * 1e6) / 1e6;
+        const first = Math.floor(round(init / step)) * step;
+        const last = Math.ceil(round(end / step)) * step;
+        const n = Math.round((last - first) / step) + 1;
+        if (n > Sampling.max_length)
+            throw new Error(`sampling range of ${ init } to ${ end } nm is`
+                            + ` too long for a step of ${ step } nm`);
+        return Spectrum.grid(first, step, Math.max(n, 0));
+    }
+
+    toJSON(key) {
+        return {
+            step: this.step,
+            min: this.min,
+            max: this.max,
+            extrapolation: this.extrapolation,
+        };
+    }
+}
+mixin(Sampling, ValidationMixin);
+
+// The sampling policy used by default in all Setup, FilterStack, and
+// SpectralSelectionFilter instances.  Equivalent to what SpekCheck
+// always did: 1nm steps and no data outside the measured range.
+// This is never changed, the policy of each Setup is its own and
+// passed explicitly to what needs it.
+Sampling.global = new Sampling;
+
+// Limits on the size of the grids, since the policy may come from a
+// URL or saved setup.  With the smallest step, the longest grid
+// covers 2000 nm which is more than the range of any of our data.
+Sampling.min_step = 0.01;
+Sampling.max_length = 200000;
+
 // Base class for our Data: Detector, Dye, Excitation, and Filter classes.
 //
 // It provides a nice default constructor and factory from file text.
@@ -252,6 +744,22 @@ mixin(Spectrum, ValidationMixin);
 //        map the fields on the header of the files to the keys of the
 //        Object passed to the constructor.
 //
+// Subclasses may also have optional properties:
+//
+//    optional_properties (Array): property names which will be
+//        defined on a class instance but are not required at
+//        construction time nor in the file header.  They default to
+//        null.
+//
+// All instances also have a 'metadata' Object, such as the name and
+// vendor, which is not used for computations.  Its fields are
+// configured by:
+//
+//    metadata_schema (Map): maps the keys on the header of the files
+//        to an Object with the 'field' name on the metadata and its
+//        'type', a key of Data.header_types.  Missing fields are
+//        null.  Each class extends the fields of Data with its own.
+//
 // Args:
 //     attrs(Object): all values in the properties Array must be keys
 //         of this 'attrs' instance and will be set on this instance.
@@ -264,6 +772,53 @@ class Data
                 throw new Error(`missing property '${ p }'`);
             this[p] = attrs[p];
         }
+        for (let p of this.constructor.prototype.optional_properties)
+            this[p] = attrs[p] === undefined ? null : attrs[p];
+
+        this.metadata = {};
+        for (let {field} of this.constructor.prototype.metadata_schema.values())
+            this.metadata[field] = null;
+        Object.assign(this.metadata, attrs.metadata);
+    }
+
+    // Lines with the metadata fields which are not null, e.g.,
+    // 'Vendor: Semrock', for display.
+    get
+    metadata_lines() {
+        const lines = [];
+        // Aliases, such as 'License' for 'Licence', come after the
+        // key of the same field.
+        const done = new Set;
+        for (let [key, {field, type}] of this.constructor.prototype.metadata_schema) {
+            const value = this.metadata[field];
+            if (value === null || done.has(field))
+                continue;
+            done.add(field);
+            if (type === 'text')
+                for (let line of value.split('\n'))
+                    lines.push(`${ key }: ${ line }`);
+            else
+                lines.push(`${ key }: ${ type === 'list' ? value.join(', ') : value }`);
+        }
+        return lines;
+    }
+
+    // Short description from the metadata, for display next to the
+    // uid, e.g., 'Semrock FF484-FDi01 (dichroic)'.  Empty if there is
+    // no metadata other than the uid.
+    get
+    summary() {
+        const metadata = this.metadata;
+        const parts = [];
+        if (metadata.name !== null && metadata.name !== this.uid)
+            parts.push(metadata.name);
+        for (let field of ['vendor', 'part_number'])
+            if (metadata[field] !== null
+                && ! parts.some(x => x.includes(metadata[field])))
+                parts.push(metadata[field]);
+        if (metadata.type !== null)
+            parts.push(`(${ metadata.type.join(', ') })`);
+        return parts.join(' ');
     }
 
     static
@@ -286,16 +841,13 @@ class Data
                     && line[header_key.length] === ':') {
                     const attr_name = header_map.get(header_key);
 
-                    // We may need to rethink this in the future.  For
-                    // now, all the values we have on the header are
-                    // numeric so this is fine.  But if we ever have
-                    // different types, we may need to pass a parse
-                    // function together with the attribute name.
-                    const val = parseFloat(line.slice(header_key.length+2));
-
-                    // If the value can't be parsed (maybe it is
-                    // missing), then it read as NaN.  Set to null.
-                    attrs[attr_name] = isNaN(val) ? null : val;
+                    // All the values on header_map are numeric.
+                    // Other types are only for the metadata, see
+                    // parseMetadata.  If the value can't be parsed
+                    // (maybe it is missing), then it is null.
+                    attrs[attr_name] = Data.header_types.number(
+                        line.slice(header_key.length+2)
+                    );
 
                     break; // found it, so move to next line
                 }
@@ -306,13 +858,56 @@ class Data
         }
 
         // Confirm we got all properties from the header.
+        const optional = this.prototype.optional_properties;
         for (let attr_name of header_map.values())
-            if (attrs[attr_name] === undefined)
+            if (attrs[attr_name] === undefined && ! optional.includes(attr_name))
                 throw new Error(`missing value for '${ attr_name }' in header`);
 
         return attrs;
     }
 
+    // Metadata fields from the file header, see metadata_schema.
+    //
+    // Most of our files have their metadata on comment lines, e.g.,
+    // '## Name: eGFP', so this reads comment lines too.  Keys are
+    // not case-sensitive, and may be followed by spaces instead of
+    // a colon, e.g., '## Source https://...'.  Fields of type list
+    // and text may be on multiple lines, other fields take the
+    // first value.
+    //
+    // Args:
+    //     header (Array): one item per text line.
+    //
+    // Returns:
+    //     An Object with the metadata fields found on the header.
+    static
+    parseMetadata(header) {
+        const schema = this.prototype.metadata_schema;
+        const metadata = {};
+        for (let line of header) {
+            const text = line.replace(/^#*\s*/, '');
+            for (let [key, {field, type}] of schema) {
+                const rest = text.slice(key.length);
+                if (text.slice(0, key.length).toLowerCase() !== key.toLowerCase()
+                    || ! /^(\s*:|\s)/.test(rest))
+                    continue;
+                const value = Data.header_types[type](rest.replace(/^\s*:?/, '').trim());
+                if (value === null)
+                    break;
+                if (metadata[field] === undefined)
+                    metadata[field] = value;
+                else if (type === 'list')
+                    metadata[field] = metadata[field].concat(
+                        value.filter(x => ! metadata[field].includes(x))
+                    );
+                else if (type === 'text')
+                    metadata[field] += '\n' + value;
+                break;
+            }
+        }
+        return metadata;
+    }
+
     static
     parseCSV(csv) {
         // Args:
@@ -326,28 +921,73 @@ class Data
         // columns/spectrum; 2) name to give to each spectrum.  We
         // ignore the name of the first column, but it should be
         // 'wavelength'.
+        //
+        // The name of each spectrum may be followed by its units in
+        // parentheses, e.g., 'transmission (OD)'.  Values in optical
+        // density (OD) are converted to linear values but are not
+        // clipped or rescaled, so that high blocking values are
+        // kept.  Values in percentage ('%') are rescaled to [0 1].
+        // Values in Göppert-Mayer ('GM'), two-photon cross sections,
+        // are absolute and kept as they are.  If there are no units,
+        // values are linear and rescaled from percentage if they look
+        // like it.
 
         const attrs = {};
 
-        const spectra_names = csv[0].split(',').slice(1).map(x => x.trim());
+        const spectra_names = [];
+        const spectra_units = [];
+        for (let column of csv[0].split(',').slice(1)) {
+            const match = column.trim().match(/^(.*?)\s*\((.*)\)$/);
+            if (match === null) {
+                spectra_names.push(column.trim());
+                spectra_units.push(null);
+            } else {
+                spectra_names.push(match[1]);
+                spectra_units.push(match[2].trim());
+            }
+        }
         const n_spectra = spectra_names.length;
+        // Ignore empty lines.  Knowing the number of lines first
+        // means we can allocate the arrays only once.
+        const lines = csv.slice(1).filter(line => line.trim().length !== 0);
+
         const spectra = Array(n_spectra);
         for (let i = 0; i < n_spectra; i++)
-            spectra[i] = [];
+            spectra[i] = new Float64Array(lines.length);
 
-        const wavelengths = [];
-        for (let line of csv.slice(1)) {
-            if (line.length === 0) // ignore empty lines
-                continue;
-            let vals = line.split(',').map(x => parseFloat(x));
-            wavelengths.push(vals[0]);
+        const wavelengths = new Float64Array(lines.length);
+        for (let l = 0; l < lines.length; l++) {
+            const vals = lines[l].split(',');
+            wavelengths[l] = parseFloat(vals[0]);
             for (let i = 0; i < n_spectra; i++)
-                spectra[i].push(vals[1+i]);
+                spectra[i][l] = parseFloat(vals[1+i]);
         }
+        // All spectra in a file share the same wavelength grid.
+        const grid = Spectrum.toGrid(wavelengths);
 
         // Create the Spectrum objects and correct data first.
         for (let i = 0; i < n_spectra; i++) {
             const data = spectra[i];
+            const units = spectra_units[i];
+
+            if (units === 'OD') {
+                // Negative OD can only be measurement noise.
+                attrs[spectra_names[i]] = Spectrum.fromOD(
+                    grid, data.map(x => x < 0.0 ? 0.0 : x)
+                );
+                continue;
+            } else if (units === 'GM') {
+                attrs[spectra_names[i]] = new Spectrum(
+                    grid, data.map(x => x < 0.0 ? 0.0 : x)
+                );
+                continue;
+            } else if (units === '%') {
+                for (let i = 0; i < data.length; i++)
+                    data[i] /= 100.0;
+            } else if (units !== null)
+                throw new Error(`unknown units '${ units }' for`
+                                + ` '${ spectra_names[i] }'`);
+
             // Rescale to [0 1] if it looks like data is on percent.
             // Data looks like it's in percentage if it has values
             // above 10.  This means that if data is in percentage and
@@ -357,7 +997,7 @@ class Data
             // handle the sensitivity of cameras detectors as
             // Spectrum.  Here's to hope that we never have to handle
             // a detector with a maximum sensitivity below 10%.
-            if (data.some(x => x > 10.0))
+            if (units === null && data.some(x => x > 10.0))
                 for (let i = 0; i < data.length; i++)
                     data[i] /= 100.0;
 
@@ -368,7 +1008,7 @@ class Data
                 else if (data[i] > 1.0)
                     data[i] = 1.0;
             }
-            attrs[spectra_names[i]] = new Spectrum(wavelengths, data);
+            attrs[spectra_names[i]] = new Spectrum(grid, data);
         }
 
         return attrs;
@@ -383,6 +1023,7 @@ class Data
         //    key 1: float value
         //    key 2: float value
         //    # An optional comment
+        //    # Name: optional metadata, see parseMetadata
         //
         // This header is followed by CSV like:
         //
@@ -405,22 +1046,24 @@ class Data
         // Returns:
         //    A Data instance (dependent on the class used to call it).
 
-        const header_map = this.prototype.header_map;
-
         const lines = text.split('\n');
 
         // We want to support an arbitrary number of comment lines on
-        // the file header so we also add lines starting with # to the
-        // header length (which the header parser will ignore).
-        let header_length = header_map.size;
-        for (let i = 0; i < header_length +1; i++)
-            if (lines[i].startsWith('#'))
-                header_length++;
+        // the file header, as well as optional keys, so the header is
+        // all lines until the first line which is neither a comment
+        // (starts with #) nor a 'key: value' line.  That first line
+        // should be the first line of the CSV.
+        let header_length = 0;
+        while (header_length < lines.length
+               && (lines[header_length].startsWith('#')
+                   || lines[header_length].includes(':')))
+            header_length++;
 
         const header = lines.slice(0, header_length);
         const csv = lines.slice(header_length);
 
         const header_attrs = this.parseHeader(header);
+        header_attrs.metadata = this.parseMetadata(header);
         const csv_attrs = this.parseCSV(csv);
 
         // The file header and CSV contents must not have duplicated
@@ -432,1697 +1075,7131 @@ class Data
 
         return new this.prototype.constructor(attrs);
     }
-}
-mixin(Data, ValidationMixin);
-Data.prototype.header_map = new Map();
-Data.prototype.properties = [
-    'uid',
-];
 
+    // Construct an instance from a file in any of the formats on
+    // Data.importers, such as the text files of filter vendors or
+    // FPbase JSON, and not only in our own format.
+    //
+    // Args:
+    //     text (String): the file content.
+    //     caller_attrs (Object): see constructFromText.
+    //     format (String): key of the importer on Data.importers.
+    //         If null, the first importer to detect the format.
+    //
+    // Returns:
+    //     An Object with the 'format' of the file, the valid 'data'
+    //     instance (dependent on the class used to call it), and
+    //     'warnings', an Array of Strings about guesses made while
+    //     reading it, e.g., the units of columns without units.
+    static
+    importFromText(text, caller_attrs, format=null) {
+        // Excel workbooks are zip files, and older ones are OLE
+        // files which are not valid UTF-8.  Either way, not text.
+        if (text.startsWith('PK') || text.startsWith('\uFFFD\uFFFD'))
+            throw new Error('Excel workbooks can not be read, save the'
+                            + ' sheet as CSV or tab separated text');
+        // Files exported on Windows have a byte order mark, and
+        // carriage returns.
+        text = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+        if (format === null) {
+            format = Object.keys(Data.importers).find(
+                x => Data.importers[x].detect(text, this)
+            );
+            if (format === undefined)
+                throw new Error('unknown file format');
+        } else if (! Data.importers.hasOwnProperty(format))
+            throw new Error(`unknown file format '${ format }'`);
+
+        const warnings = [];
+        const data = Data.importers[format].read(text, this, caller_attrs,
+                                                 warnings);
+        if (! data.isValid())
+            throw new Error(data.validation_error);
+        return {format: format, data: data, warnings: warnings};
+    }
+
+    // Construct an instance from the spectra and header values found
+    // on an imported file.  The header values not found are null,
+    // since they are optional or may be null.
+    //
+    // Args:
+    //     spectra (Object): property names to Spectrum.
+    //     values (Object): property names to header values.
+    //     metadata (Object): see parseMetadata.
+    //     caller_attrs (Object): see constructFromText.
+    static
+    _fromImport(spectra, values, metadata, caller_attrs) {
+        const attrs = {metadata: metadata};
+        for (let p of this.prototype.header_map.values())
+            attrs[p] = values[p] === undefined ? null : values[p];
+        Object.assign(attrs, spectra, caller_attrs);
+        return new this.prototype.constructor(attrs);
+    }
 
-class Dye extends Data
-{
-    validate() {
-        for (let s_name of ['emission', 'absorption']) {
-            if (! (this[s_name] instanceof Spectrum))
-                return `${ s_name } property is not a Spectrum object`;
-            if (! this[s_name].isValid())
-                return this[s_name].validation_error;
+    // Text of a data file in our own format, see constructFromText.
+    // This is how data imported from other formats is kept.
+    toText() {
+        if (this.states !== undefined && this.states !== null)
+            throw new Error('can not write the text of dyes with states');
+
+        const lines = this.metadata_lines.map(x => `# ${ x }`);
+        const optional = this.constructor.prototype.optional_properties;
+        for (let [key, p] of this.constructor.prototype.header_map) {
+            if (this[p] !== null)
+                lines.push(`${ key }: ${ this[p] }`);
+            else if (! optional.includes(p))
+                lines.push(`${ key }:`);
         }
 
-        // Careful with the comparison logic here.  We compare for
-        // true so that it also checks for the right type.  If we did
-        // 'ex_coeff < 0.0' it would return false even if 'ex_coeff'
-        // was undefined a String or whatever.
-        if (! (this.ex_coeff >= 0.0) && this.ex_coeff !== null)
-            return 'Extinction Coefficient must be a positive number';
-        if (! (this.q_yield >= 0.0) && this.q_yield !== null)
-            return 'Quantum Yield must be a positive number';
+        // All spectra on a file share the same wavelength grid.
+        const units = this.constructor.prototype.spectra_units;
+        const names = this.constructor.prototype.properties.concat(
+            this.constructor.prototype.optional_properties
+        ).filter(p => this[p] instanceof Spectrum);
+        const grid = names.map(p => this[p].wavelength).reduce(
+            Spectrum.mergeWavelengths
+        );
+        const columns = names.map(p => this[p].resample(grid).data);
+
+        lines.push(['wavelength'].concat(
+            names.map(p => units.has(p) ? `${ p } (${ units.get(p) })` : p)
+        ).join(','));
+        for (let i = 0; i < grid.length; i++)
+            lines.push([grid[i]].concat(
+                columns.map(x => x[i].toPrecision(6))
+            ).join(','));
+        return lines.join('\n') + '\n';
     }
 }
-Dye.prototype.header_map = new Map([
-    ...(Data.prototype.header_map),
-    ['Extinction coefficient', 'ex_coeff'],
-    ['Quantum Yield', 'q_yield'],
-]);
-Dye.prototype.properties = Data.prototype.properties.concat([
-    'emission',
-    'ex_coeff',
-    'absorption',
-    'q_yield',
+mixin(Data, ValidationMixin);
+Data.prototype.header_map = new Map();
+Data.prototype.properties = [
+    'uid',
+];
+Data.prototype.optional_properties = [];
+// Columns of files imported from other formats, see
+// Data.importers.  Each is the property name, a RegExp for the
+// column names, and whether its values are relative, i.e., scaled to
+// their peak rather than read as fractions.  If no column names
+// match, the columns of the required properties are taken in this
+// order.
+Data.prototype.import_columns = [];
+// Units of the columns on our own files, for properties which have
+// units other than linear values in [0 1].  See parseCSV.
+Data.prototype.spectra_units = new Map;
+Data.prototype.metadata_schema = new Map([
+    ['Name', {field: 'name', type: 'string'}],
+    // e.g., dichroic, emitter, or exciter for filters.
+    ['Type', {field: 'type', type: 'list'}],
+    ['Vendor', {field: 'vendor', type: 'string'}],
+    ['Part number', {field: 'part_number', type: 'string'}],
+    ['Source', {field: 'source', type: 'url'}],
+    ['Licence', {field: 'licence', type: 'string'}],
+    ['License', {field: 'licence', type: 'string'}],
 ]);
 
-// Alexa-488 brightness for relative brightness calculations.
-Dye.Alexa488_brightness = 0.92 * 73000;
+// Parsers for the types of the values on the file headers.  They
+// take the text after the key and return null for missing or
+// invalid values.
+Data.header_types = {
+    number: function(text) {
+        const val = parseFloat(text);
+        return isNaN(val) ? null : val;
+    },
+    string: function(text) {
+        text = text.trim();
+        return text.length === 0 ? null : text;
+    },
+    // Like string, but the lines of the same key are joined.
+    text: function(text) {
+        return Data.header_types.string(text);
+    },
+    // Comma separated, e.g., 'dichroic, emitter'.
+    list: function(text) {
+        const items = text.split(',').map(x => x.trim()).filter(x => x.length !== 0);
+        return items.length === 0 ? null : items;
+    },
+    url: function(text) {
+        // Some of our files have a trailing comma.
+        text = text.trim().replace(/,$/, '');
+        try {
+            return new URL(text).href;
+        } catch (e) {
+            return null;
+        }
+    },
+};
 
+// Importers of files in other formats, see Data.importFromText.
+// Each has a 'name', for display, a 'detect' function of the text
+// and the Data class which returns whether it can read the file,
+// and a 'read' function of the text, the Data class, the caller
+// attributes, and an Array where to add warnings, which returns an
+// instance of that class.  They are
+// tried in order, so the last one, which reads any columns of
+// numbers, is the fallback.
+Data.importers = {
+    native: {
+        name: 'SpekCheck',
+        // Our own format has a 'wavelength' column followed by
+        // columns named after the properties.
+        detect: function(text, cls) {
+            const match = text.match(/^wavelength\s*,(.*)$/m);
+            if (match === null)
+                return false;
+            const names = cls.prototype.properties.concat(
+                cls.prototype.optional_properties,
+                cls.prototype.import_columns.map(x => x[0])
+            );
+            return match[1].split(',').every(
+                x => names.includes(x.replace(/[([].*$/, '').trim())
+            );
+        },
+        read: function(text, cls, caller_attrs, warnings) {
+            return cls.constructFromText(text, caller_attrs);
+        },
+    },
 
-class Excitation extends Data
-{
-    validate() {
-        if (! (this.intensity instanceof Spectrum))
-            return "'intensity' property is not a Spectrum object";
-        if (! this.intensity.isValid())
-            return this.intensity.validation_error;
-    }
-}
-Excitation.prototype.properties = Data.prototype.properties.concat([
-    'intensity',
-]);
+    // JSON from FPbase, either from its REST API, a list of proteins
+    // with their 'spectra', or from its GraphQL API, a 'spectrum'
+    // with its 'subtype'.  Rather than following either schema, this
+    // takes any Object with 'data' as a list of [wavelength, value]
+    // pairs, and the constants on it or on the Objects around it.
+    // If there are several proteins or states, only the first
+    // spectrum of each kind is read.
+    fpbase: {
+        name: 'FPbase JSON',
+        detect: function(text) {
+            return /^\s*[[{]/.test(text);
+        },
+        read: function(text, cls, caller_attrs, warnings) {
+            let json;
+            try {
+                json = JSON.parse(text);
+            } catch (e) {
+                throw new Error(`invalid JSON: ${ e.message }`);
+            }
 
-class Detector extends Data
-{
-    validate() {
-        if (! (this.qe instanceof Spectrum))
-            return "'intensity' property is not a Spectrum object";
-        if (! this.qe.isValid())
-            return this.intensity.validation_error;
-    }
-}
-Detector.prototype.properties = Data.prototype.properties.concat([
-    'qe',
-]);
+            const roles = cls.prototype.import_columns;
+            const spectra = {};
+            let values = null;
+            let name = null;
+            const visit = function(node, context) {
+                if (Array.isArray(node)) {
+                    for (let x of node)
+                        visit(x, context);
+                    return;
+                }
+                if (node === null || typeof(node) !== 'object')
+                    return;
+
+                context = Object.assign({}, context);
+                for (let key of Object.keys(Data.importers.fpbase.constants))
+                    if (typeof(node[key]) === 'number')
+                        context[Data.importers.fpbase.constants[key]] = node[key];
+                // The name of the protein, not of its states which
+                // are on nested Objects, e.g., 'default'.
+                if (typeof(node.name) === 'string' && context.name === undefined)
+                    context.name = node.name;
+
+                const kind = String(node.subtype || node.type || '').toLowerCase();
+                const role = roles.find(
+                    x => x[0] === Data.importers.fpbase.subtypes[kind]
+                );
+                if (role !== undefined && spectra[role[0]] === undefined
+                    && Array.isArray(node.data) && node.data.length > 1
+                    && node.data.every(x => Array.isArray(x) && x.length >= 2)) {
+                    const data = node.data.map(x => x[1]);
+                    if (! role[2])
+                        warnings.push(Data.guessWarning(role[0], data));
+                    spectra[role[0]] = Data.importSpectrum(
+                        node.data.map(x => x[0]), data, null, role[2]
+                    );
+                    // Constants are those of the first spectrum.
+                    if (values === null) {
+                        values = context;
+                        name = context.name === undefined ? null : context.name;
+                    }
+                }
+                // GraphQL responses are in 'data' too, but not as a
+                // list.
+                for (let key of Object.keys(node))
+                    if (key !== 'data' || ! Array.isArray(node.data))
+                        visit(node[key], context);
+            };
+            visit(json, {});
 
+            if (values === null)
+                throw new Error('no FPbase spectra for this type of data');
+            return cls._fromImport(spectra, values, {name: name},
+                                   caller_attrs);
+        },
+        // FPbase spectra subtypes to our property names.
+        subtypes: {
+            ex: 'absorption',
+            ab: 'absorption',
+            em: 'emission',
+            bp: 'transmission',
+            bx: 'transmission',
+            bm: 'transmission',
+            sp: 'transmission',
+            lp: 'transmission',
+            bs: 'transmission',
+            pd: 'intensity',
+            qe: 'qe',
+        },
+        // FPbase constants, on the spectra or the states, to our
+        // property names.
+        constants: {
+            ec: 'ex_coeff',
+            ext_coeff: 'ex_coeff',
+            extCoeff: 'ex_coeff',
+            qy: 'q_yield',
+            lifetime: 'lifetime',
+        },
+    },
 
-// Reflection/Transmission mode is not a property of the filter, it's
-// a property of the Optical Setup.  So it's up to Setup to keep track
-// of how the filter is being used.
-class Filter extends Data
-{
-    constructor(attrs) {
-        // Some Filter files have reflection data instead of
-        // transmission so compute it.
-        if (attrs.reflection !== undefined) {
-            const data = attrs.reflection.data.map(x => 1.0 -x);
-            const wavelength = attrs.reflection.wavelength;
-            attrs.transmission = new Spectrum(wavelength, data);
-        }
-        super(attrs);
-        if (attrs.reflection !== undefined)
-            this.reflection = attrs.reflection;
-    }
+    // Columns of numbers separated by tabs, semicolons, commas, or
+    // spaces, such as the downloads of filter vendors and the CSV and
+    // text exports of Excel.  The columns are matched to properties
+    // by their names, see import_columns, or by their order if none
+    // of them matches.  Lines before the column names are read for
+    // metadata and header values.
+    delimited: {
+        name: 'Delimited text',
+        detect: function(text) {
+            return Data.importers.delimited.table(text) !== null;
+        },
+        read: function(text, cls, caller_attrs, warnings) {
+            const table = this.table(text);
+            if (table === null)
+                throw new Error('no columns of numbers found');
+            const {preamble, names, rows} = table;
+
+            // The first column is the wavelength, unless another is
+            // named like it.
+            let w_col = names.findIndex(x => /wave|lambda|λ/i.test(x));
+            if (w_col === -1 || w_col >= rows[0].length)
+                w_col = 0;
+            const w_name = w_col < names.length ? names[w_col] : '';
+            let wavelength = rows.map(x => x[w_col]);
+            if (/wavenumber|cm-1|cm⁻¹|1\/cm/i.test(w_name))
+                wavelength = wavelength.map(x => 1e7 / x);
+            else if (/µm|μm|\bum\b|micron/i.test(w_name)
+                     || wavelength.every(x => x < 10.0))
+                wavelength = wavelength.map(x => x * 1000.0);
+
+            const columns = Array.from(rows[0].keys()).filter(x => x !== w_col);
+            const roles = cls.prototype.import_columns;
+            const assigned = new Map;
+            for (let role of roles) {
+                const col = columns.find(
+                    x => x < names.length && ! assigned.has(x) && role[1].test(names[x])
+                );
+                if (col !== undefined)
+                    assigned.set(col, role);
+            }
+            // Without names, only the required spectra, in order.
+            if (assigned.size === 0) {
+                const required = roles.filter(
+                    x => cls.prototype.properties.includes(x[0])
+                );
+                for (let i = 0; i < Math.min(columns.length, required.length); i++)
+                    assigned.set(columns[i], required[i]);
+            }
 
-    get
-    reflection() {
-        // lazy-get reflection, only compute if needed.
-        const data = this.transmission.data.map(x => 1.0 -x);
-        const reflection = new Spectrum(this.transmission.wavelength, data);
-        this.reflection = reflection;
-        return this.reflection;
-    }
+            const spectra = {};
+            for (let [col, [p_name, , relative]] of assigned) {
+                const name = col < names.length ? names[col] : '';
+                let units = null;
+                if (/\bOD\b|optical density/i.test(name))
+                    units = 'OD';
+                else if (/%|percent/i.test(name))
+                    units = '%';
+                const values = rows.map(x => x[col]);
+                if (units === null && ! relative)
+                    warnings.push(Data.guessWarning(p_name, values));
+                spectra[p_name] = Data.importSpectrum(
+                    wavelength, values, units, relative
+                );
+            }
 
-    set
-    reflection(val) {
-        // Delete the lazy-getter and this setter when setting the value.
-        delete this.reflection;
-        Object.defineProperty(this, 'reflection', {value: val});
-    }
+            const values = {};
+            for (let line of preamble) {
+                const text = line.replace(/^#*\s*/, '').toLowerCase();
+                for (let [key, p_name] of cls.prototype.header_map)
+                    if (values[p_name] === undefined
+                        && text.startsWith(key.toLowerCase() + ':'))
+                        values[p_name] = Data.header_types.number(
+                            text.slice(key.length + 1)
+                        );
+            }
 
-    validate() {
-        if (! (this.transmission instanceof Spectrum))
-            return "'transmission' property is not a Spectrum object";
-        if (! this.transmission.isValid())
-            return this.transmission.validation_error;
-    }
-}
-Filter.prototype.properties = Data.prototype.properties.concat([
-    'transmission',
-]);
+            const metadata = cls.parseMetadata(preamble);
+            if (metadata.vendor === undefined) {
+                const vendor = Data.import_vendors.find(
+                    x => preamble.some(line => line.includes(x))
+                );
+                if (vendor !== undefined)
+                    metadata.vendor = vendor;
+            }
+            return cls._fromImport(spectra, values, metadata, caller_attrs);
+        },
+
+        // The table of numbers on the text.  The delimiter is the one
+        // which splits most lines into numbers.  Commas are decimal
+        // separators if they are not the delimiter.
+        //
+        // Returns:
+        //     null if there are not two rows of numbers, or an Object
+        //     with the 'rows' of numbers, the column 'names' from the
+        //     line before them, which may be empty, and the lines of
+        //     the 'preamble' before the names.
+        table: function(text) {
+            const lines = text.split('\n');
+            let best = null;
+            for (let delimiter of ['\t', ';', ',', ' ']) {
+                const rows = lines.map(x => this.numbers(x, delimiter));
+                const count = rows.filter(x => x !== null).length;
+                if (count >= 2 && (best === null || count > best.count))
+                    best = {delimiter: delimiter, rows: rows, count: count};
+            }
+            if (best === null)
+                return null;
+
+            // Only the first block of numbers, which may have empty
+            // lines but no text lines.
+            const first = best.rows.findIndex(x => x !== null);
+            const n_columns = best.rows[first].length;
+            const rows = [];
+            for (let i = first; i < lines.length; i++) {
+                if (best.rows[i] !== null && best.rows[i].length >= n_columns)
+                    rows.push(best.rows[i].slice(0, n_columns));
+                else if (lines[i].trim().length !== 0)
+                    break;
+            }
+
+            let header = first -1;
+            while (header >= 0 && lines[header].trim().length === 0)
+                header--;
+            let names = [];
+            if (header >= 0)
+                names = this.fields(lines[header], best.delimiter);
+            if (names.length < 2) {
+                names = [];
+                header++;
+            }
+            return {
+                preamble: lines.slice(0, Math.max(header, 0)),
+                names: names,
+                rows: rows,
+            };
+        },
+
+        // Fields on a line, without quotes or trailing empty fields.
+        fields: function(line, delimiter) {
+            const fields = (delimiter === ' '
+                            ? line.trim().split(/\s+/)
+                            : line.split(delimiter)).map(
+                                x => x.trim().replace(/^"(.*)"$/, '$1').trim()
+                            );
+            while (fields.length !== 0 && fields[fields.length -1] === '')
+                fields.pop();
+            return fields;
+        },
+
+        // The numbers on a line, or null if it is not at least two
+        // numbers.
+        numbers: function(line, delimiter) {
+            const fields = this.fields(line, delimiter);
+            if (fields.length < 2)
+                return null;
+            const numbers = [];
+            for (let field of fields) {
+                if (delimiter !== ',')
+                    field = field.replace(',', '.');
+                if (! /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(field))
+                    return null;
+                numbers.push(parseFloat(field));
+            }
+            return numbers;
+        },
+    },
+};
 
+// Vendors to look for on the files imported from other formats, if
+// they have no 'Vendor' metadata.
+Data.import_vendors = ['Semrock', 'Chroma', 'Thorlabs', 'Zeiss'];
 
-// A synthetic filter that generates a rectangular transmission window
-// between two wavelengths.
+// Spectrum from the columns of an imported file, in increasing
+// wavelength order and without repeated wavelengths.  Values in
+// optical density or percentage are converted and clipped to [0 1].
+// Relative spectra, such as dye spectra which may be in counts, are
+// normalised to their peak instead.
 //
-// Unlike normal filters, this generates its spectrum dynamically based on
-// the wavelength parameters, and the transmission spectrum is composed on demand.
-class SpectralSelectionFilter
+// Args:
+//     wavelength (Array<float>): in nm.
+//     values (Array<float>):
+//     units (String): 'OD', '%', or null.  If null, the units are
+//         guessed, see guessUnits.
+//     relative (Boolean):
+Data.importSpectrum = function(wavelength, values, units, relative) {
+    const order = Array.from(wavelength.keys()).filter(
+        i => isFinite(wavelength[i]) && isFinite(values[i])
+    ).sort((a, b) => wavelength[a] - wavelength[b]).filter(
+        (x, i, order) => i === 0 || wavelength[x] !== wavelength[order[i-1]]
+    );
+    if (order.length < 2)
+        throw new Error('spectra need at least two wavelengths');
+
+    let data = order.map(i => values[i]);
+    if (units === 'OD')
+        data = data.map(x => Math.pow(10, -Math.max(x, 0.0)));
+    else if (units === '%'
+             || (units === null && ! relative && Data.guessUnits(data) === '%'))
+        data = data.map(x => x / 100.0);
+
+    const spectrum = new Spectrum(order.map(i => wavelength[i]), data);
+    if (relative)
+        return spectrum.clip(0.0, Infinity).normalise();
+    return spectrum.clip();
+};
+
+
+// Units of values without explicit units: percentage, '%', if any
+// value is above 10, like parseCSV does, otherwise null for
+// fractions.  A percentage that never goes above 10 is then read as
+// a fraction, see guessWarning.
+Data.guessUnits = function(values) {
+    return values.some(x => x > 10.0) ? '%' : null;
+};
+
+// Warning, for the preview of imported files, that the units of the
+// values of a property were guessed.
+Data.guessWarning = function(p_name, values) {
+    const percent = Data.guessUnits(values) === '%';
+    return (`${ p_name } has no units, so it was read as`
+            + (percent ? ' percentage since it has values above 10.'
+               : ' fractions of 1 since it has no values above 10.')
+            + ' Add the units, e.g., (%), to the column name if wrong.');
+};
+
+
+// Dyes with multiple states, such as photoswitchable,
+// photoconvertible, or pH dependent dyes, have different spectra and
+// constants for each state.  On the data file, the state names are
+// in square brackets after the header keys and column names, e.g.,
+// 'Quantum Yield [red]:' and 'emission [red]'.  The dye properties
+// are then those of the first state, and inState() gives the same
+// dye in another state.
+//
+// The optional 'activation' spectrum is the action spectrum for
+// switching, or converting, the dye out of that state.
+class Dye extends Data
 {
-    constructor(min_wavelength = 500, max_wavelength = 600) {
-        this.uid = 'spectral-selection';
-        this.min_wavelength = min_wavelength;
-        this.max_wavelength = max_wavelength;
+    constructor(attrs) {
+        if (attrs.states !== undefined && ! (attrs.states instanceof Map))
+            attrs = Dye._fromStates(attrs);
+        super(attrs);
     }
 
-
-    // Get transmission spectrum interpolated/generated for a specific wavelength array.
-    get transmission() {
-        // This is a getter without a backing field. Since we don't store specific
-        // wavelengths, we return a spectrum that will be interpolated.
-        // If no wavelengths have been set elsewhere, use a reasonable default range.
-        const minw=Math.min(this.min_wavelength, 300); // min of 300 or min_wavelength
-        const maxw=Math.max(this.max_wavelength, 700); //max of 700 or max_wavelength
-        const wavelengths = new Array(maxw-minw+1);
-        for (let i = 0; i < wavelengths.length; i++) {
-            wavelengths[i] = minw + i; 
+    // Moves the spectra of each state, read as 'name [state]'
+    // properties, together with the constants of that state, and
+    // sets the dye properties to those of the first state.
+    static
+    _fromStates(attrs) {
+        // Optional values missing from a state must not be taken
+        // from the previous state by inState().
+        const defaults = {activation: null, lifetime: null};
+        const states = new Map;
+        for (let name of Object.keys(attrs.states))
+            states.set(name, Object.assign({}, defaults, attrs.states[name]));
+
+        const dye_attrs = {};
+        for (let key of Object.keys(attrs)) {
+            const match = key.match(/^(.*?)\s*\[(.*)\]$/);
+            if (match === null) {
+                dye_attrs[key] = attrs[key];
+                continue;
+            }
+            const [, s_name, state] = match;
+            if (! states.has(state))
+                throw new Error(`no header values for state '${ state }'`);
+            states.get(state)[s_name] = attrs[key];
         }
-        const data = wavelengths.map(w => (w >= this.min_wavelength && 
-            w <= this.max_wavelength) ? 1.0 : 0.0);
-        return new Spectrum(wavelengths.slice(0), data);
+
+        const state = states.keys().next().value;
+        return Object.assign(dye_attrs, states.get(state),
+                             {states: states, state: state});
     }
 
+    // Header lines with a state are read as the header of each
+    // state, together with the lines without a state which are
+    // shared by all states.  If there are such lines, the returned
+    // attributes only have 'states', an Object of attributes for
+    // each state.
+    static
+    parseHeader(header) {
+        const shared = [];
+        const state_headers = {};
+        for (let line of header) {
+            if (line.startsWith('#'))
+                continue;
+            const match = line.match(/^(.*?)\s*\[(.*)\]:(.*)$/);
+            if (match === null) {
+                shared.push(line);
+                continue;
+            }
+            const [, key, state, value] = match;
+            if (state_headers[state] === undefined)
+                state_headers[state] = [];
+            state_headers[state].push(`${ key }:${ value }`);
+        }
 
-    // For compatibility with Filter reflection mode
-    get reflection() {
-        const trans_spectrum = this.transmission;
-        const data = trans_spectrum.data.map(x => 1.0 - x);
-        return new Spectrum(trans_spectrum.wavelength, data);
-    }
+        if (Object.keys(state_headers).length === 0)
+            return super.parseHeader(header);
 
-    // Validate that wavelengths are in sensible order
-    validate() {
-        if (typeof this.min_wavelength !== 'number')
-            return "min_wavelength must be a number";
-        if (typeof this.max_wavelength !== 'number')
-            return "max_wavelength must be a number";
-        if (this.min_wavelength >= this.max_wavelength)
-            return "min_wavelength must be less than max_wavelength";
-        if (this.min_wavelength < 300 || this.max_wavelength > 1000)
-            return "wavelengths must be in reasonable range (300-1000 nm)";
-        return null;
+        // State lines come last so that their values take
+        // precedence over the shared ones.
+        const states = {};
+        for (let state of Object.keys(state_headers))
+            states[state] = super.parseHeader(shared.concat(state_headers[state]));
+        return {states: states};
     }
 
-    isValid() {
-        const error = this.validate();
-        this.validation_error = error;
-        return error === null;
+    // Same dye but on another state.
+    inState(state) {
+        if (this.states === null || ! this.states.has(state))
+            throw new Error(`dye '${ this.uid }' has no state '${ state }'`);
+        const dye = Object.create(Dye.prototype);
+        // The cache is of the two-photon spectrum of this state.
+        return Object.assign(dye, this, this.states.get(state),
+                             {state: state, _two_photon_relative: undefined});
     }
-}
-SpectralSelectionFilter.prototype.validation_error = null;
 
+    validate() {
+        const error = Dye._validateState(this);
+        if (error !== undefined)
+            return error;
+        if (this.states !== null) {
+            for (let [name, state] of this.states) {
+                const error = Dye._validateState(state);
+                if (error !== undefined)
+                    return `state '${ name }': ${ error }`;
+            }
+        }
 
-// Meant to represents one of the two paths (excitation and emission)
-// on a Setup.
-class FilterStack
-{
-    constructor(stack=[]) {
-        this._events = {}; // for the EventPubMixin
-        this._stack = stack; // Array of {filter: Filter, mode: 'r'|'t'}
-        this._resetTransmission();
+        // The two-photon spectrum is in GM so it is not limited to
+        // [0 1] like the other spectra.
+        if (this.two_photon !== null) {
+            if (! (this.two_photon instanceof Spectrum))
+                return 'two_photon property is not a Spectrum object';
+            if (this.two_photon.data.some(x => ! (x >= 0.0)))
+                return 'two-photon cross section must be non-negative';
+            if (! (this.two_photon_peak > 0.0))
+                return 'two-photon cross section is zero everywhere';
+        }
     }
 
-    _resetTransmission() {
-        this._transmission = null; // Spectrum or null
-
-        // When a new filter is added to the filterstack, we can add it
-        // to the previously computed transmission instead of
-        // computing the whole thing again.
-        //
-        // This is the index of the next filter that needs to be used
-        // to update the transmission spectrum.
-        this._stack_i = 0;
+    // Validate the spectra and constants of one state.
+    static
+    _validateState(state) {
+        for (let s_name of ['emission', 'absorption']) {
+            if (! (state[s_name] instanceof Spectrum))
+                return `${ s_name } property is not a Spectrum object`;
+            if (! state[s_name].isValid())
+                return state[s_name].validation_error;
+        }
+        if (state.activation !== null) {
+            if (! (state.activation instanceof Spectrum))
+                return 'activation property is not a Spectrum object';
+            if (! state.activation.isValid())
+                return state.activation.validation_error;
+        }
 
-        // If we reset the transmission, this is implicit.
-        this._resetCache();
+        // Careful with the comparison logic here.  We compare for
+        // true so that it also checks for the right type.  If we did
+        // 'ex_coeff < 0.0' it would return false even if 'ex_coeff'
+        // was undefined a String or whatever.
+        if (! (state.ex_coeff >= 0.0) && state.ex_coeff !== null)
+            return 'Extinction Coefficient must be a positive number';
+        if (! (state.q_yield >= 0.0) && state.q_yield !== null)
+            return 'Quantum Yield must be a positive number';
+        if (! (state.lifetime > 0.0) && state.lifetime !== null)
+            return 'Lifetime must be a positive number';
     }
 
-    _resetCache() {
-        // Maps Spectrum instances to their transmission Spectrum in
-        // this FilterStack.
-        this._transmitted_cache = new WeakMap;
+    // Names of the states, an empty Array if the dye has no states.
+    get
+    state_names() {
+        return this.states === null ? [] : Array.from(this.states.keys());
     }
 
-    // Number of filters in the path.
+    // Two-photon action cross section at its peak, in GM.  Null if
+    // the dye has no two-photon spectrum.
     get
-    length() {
-        return this._stack.length;
+    two_photon_peak() {
+        if (this.two_photon === null)
+            return null;
+        return this.two_photon.data.reduce((a, b) => Math.max(a, b), 0.0);
     }
 
-    validate() {
-        for (let x of this._stack) {
-            if (! (x.filter instanceof Filter))
-                return "all elements of FilterStack must have a 'Filter'";
-            if (! x.filter.isValid())
-                return x.filter.validation_error;
-            if (x.mode !== 'r' || x.mode !== 't')
-                return `mode of '${ x.filter.uid }' must be r or t`;
-        }
+    // Two-photon spectrum relative to its peak, i.e., in the [0 1]
+    // interval like the one-photon absorption.
+    get
+    two_photon_relative() {
+        if (this.two_photon === null)
+            return null;
+        if (this._two_photon_relative === undefined)
+            this._two_photon_relative = this.two_photon.normalise('peak');
+        return this._two_photon_relative;
     }
+}
+Dye.prototype.header_map = new Map([
+    ...(Data.prototype.header_map),
+    ['Extinction coefficient', 'ex_coeff'],
+    ['Quantum Yield', 'q_yield'],
+    ['Lifetime', 'lifetime'], // ns
+]);
+Dye.prototype.metadata_schema = new Map([
+    ...(Data.prototype.metadata_schema),
+    // Publication of the spectra or constants, e.g., of the
+    // two-photon cross section or the lifetime.
+    ['Reference', {field: 'reference', type: 'text'}],
+]);
+Dye.prototype.properties = Data.prototype.properties.concat([
+    'emission',
+    'ex_coeff',
+    'absorption',
+    'q_yield',
+]);
+// Two-photon action cross section, i.e., cross section times quantum
+// yield, in a column with 'GM' units.
+Dye.prototype.optional_properties = Data.prototype.optional_properties.concat([
+    'lifetime',
+    'two_photon',
+    'activation',
+    'states', // Map of state name to its spectra and constants
+    'state', // name of the current state
+]);
+Dye.prototype.import_columns = [
+    ['absorption', /abs|exc|\bex\b/i, true],
+    ['emission', /emi|\bem\b|fluo/i, true],
+];
+Dye.prototype.spectra_units = new Map([
+    ['two_photon', 'GM'],
+]);
 
-    // Transmission spectrum of the whole filter stack
-    get
-    transmission() {
-        // XXX: what to when the stack is empty?  In practice, this
-        //     should mean that we have complete transmission in all
-        //     wavelengths.  However, the assumption in have in
-        //     Spectrum and throughout SpekCheck is that data is zero
-        //     whenever we have no information.  So we error to make
-        //     note of this odd request.  Alternatively, maybe we
-        //     could return Spectrum([0, Inf], [1.0, 1.0])
-        if (this.length === 0)
-            throw new Error('no filters on stack to compute transmission');
+// Alexa-488 brightness for relative brightness calculations.
+Dye.Alexa488_brightness = 0.92 * 73000;
 
-        // Create a new Spectrum object, appropriate to the filters we
-        // have in the stack.
-        if (this._transmission === null) {
-            // Spectrum data outside the range will be zero, so no
-            // point on computing those.  Find the smallest wavelength
-            // range we actually need.
-            let init = -Infinity;
-            let end = Infinity;
-            for (let x of this._stack) {
-                const wavelength = x.filter.transmission.wavelength;
-                const x_init = wavelength[0];
-                const x_end = wavelength[wavelength.length -1];
-                if (x_init > init)
-                    init = x_init;
-                if (x_end < end)
-                    end = x_end;
-            }
+// Fluorescein two-photon action cross section at 780 nm, in GM, for
+// relative brightness calculations with pulsed excitation.  About
+// 38 GM times 0.93 quantum yield, from Xu and Webb, J Opt Soc Am B
+// 13:481 (1996).
+Dye.Fluorescein_2P_brightness = 36.0;
 
-            // XXX: hardcoded wavelength steps of 1nm :/
-            init = Math.floor(init);
-            end = Math.ceil(end);
-            const wavelength = new Array(end-init+1);
-            for (let i = 0; i < wavelength.length; i++)
-                wavelength[i] = init+i;
+// Absorption cross section, in cm², per unit of extinction
+// coefficient, in M⁻¹cm⁻¹.  This is ln(10) * 1000 / Avogadro.
+Dye.cross_section_factor = 3.82e-21;
 
-            const data = new Array(wavelength.length).fill(1.0);
-            this._transmission = new Spectrum(wavelength, data);
-        }
 
-        // Update the transmission spectrum with any pending filters.
-        if (this._stack_i < this.length) {
-            const transmission = this._transmission;
-            const wavelength = transmission.wavelength;
-            for (; this._stack_i < this.length; this._stack_i++) {
-                const mode = this._stack[this._stack_i].mode;
-                const filter = this._stack[this._stack_i].filter;
-
-                const pname = mode === 't' ? 'transmission' : 'reflection';
-                if (mode !== 't' && mode !== 'r')
-                    throw new Error(`invalid mode '${ mode }'`);
-
-                const filter_data = filter[pname].interpolate(wavelength);
-                transmission.data = transmission.multiplyBy(filter_data);
-            }
-            // We should not be modifying Spectrum instances like we
-            // just did, so replace it with a clone.
-            this._transmission = transmission.clone();
-        }
+// Pulsed sources, such as the femtosecond lasers used for
+// two-photon excitation, have a repetition rate and pulse width on
+// their header.  These are optional, and sources without them are
+// continuous and used for one-photon excitation.
+//
+// The output power and spot size are also optional.  The spot size
+// is the 1/e² diameter of a gaussian beam at the sample.
+class Excitation extends Data
+{
+    validate() {
+        if (! (this.intensity instanceof Spectrum))
+            return "'intensity' property is not a Spectrum object";
+        if (! this.intensity.isValid())
+            return this.intensity.validation_error;
 
-        return this._transmission;
+        if ((this.rep_rate === null) !== (this.pulse_width === null))
+            return 'pulsed excitation needs both repetition rate and pulse width';
+        for (let name of ['rep_rate', 'pulse_width', 'power', 'spot_size'])
+            if (! (this[name] > 0.0) && this[name] !== null)
+                return `${ name } must be a positive number`;
     }
 
-    // Transmission spectrum that 'source' will have in this FilterStack.
-    transmissionOf(source) {
-        if (! this._transmitted_cache.has(source)) {
-            let transmitted;
-            if (this.length === 0)
-                transmitted = source.clone();
-            else
-                // Outside the wavelength range, transmission is zero.
-                // Use the source wavelength as range for transmitted
-                // which we hope will be smaller than FilterStack.
-                transmitted = new Spectrum(
-                    source.wavelength,
-                    source.multiplyBy(this.transmission)
-                );
-
-            this._transmitted_cache.set(source, transmitted);
-        }
-        return this._transmitted_cache.get(source);
+    get
+    is_pulsed() {
+        return this.rep_rate !== null && this.pulse_width !== null;
     }
 
-    describe() {
-                return this._stack.map(x => ((x.filter.uid === 'spectral-selection' ) ? 
-                ({filter: 'spectral', mode: x.mode, min: x.filter.min_wavelength, max: x.filter.max_wavelength}) 
-                : ({filter: x.filter.uid, mode: x.mode})));
-    }
+    // A synthetic Excitation from the parameters on its uid, e.g.,
+    // 'laser:505', 'laser:505:2', 'lorentzian:505:2', 'led:730:30',
+    // or 'blackbody:3200'.  See Excitation.generators.
+    //
+    // Returns:
+    //     An Excitation instance, or null if the uid is not of a
+    //     synthetic source.  Throws if its parameters are invalid.
+    static
+    generate(uid) {
+        const [kind, ...args] = uid.split(':');
+        if (args.length === 0 || ! Excitation.generators.hasOwnProperty(kind))
+            return null;
 
-    // Like empty, but doesn't trigger a change event.  To be used by
-    // Setup so that it can empty both stacks and then trigger a
-    // change itself.
-    // TODO: instead, Setup should handle the change event and stop it
-    //   from being propagated..
-    _empty() {
-        this._stack = [];
-        this._resetTransmission();
+        const generator = Excitation.generators[kind];
+        const values = args.map(Number);
+        if (values.length < generator.required
+            || values.length > generator.parameters.length
+            || values.some(x => ! (x > 0.0 && isFinite(x))))
+            throw new Error(`synthetic excitation '${ uid }' needs`
+                            + ` ${ generator.parameters.join(', ') }`
+                            + ' as positive numbers');
+
+        const [min, max] = Excitation.synthetic_range;
+        if (kind !== 'blackbody' && ! (values[0] > min && values[0] < max))
+            throw new Error(`synthetic excitation '${ uid }' must be in the`
+                            + ` ]${ min } ${ max }[ nm interval`);
+
+        return new Excitation({
+            uid: uid,
+            intensity: generator.spectrum(...values),
+            metadata: {type: [kind]},
+        });
     }
 
-    empty() {
-        if (this.length === 0)
-            // Already empty.  Do nothing and avoid a change event.
-            return;
-
-        this._empty();
-        this.trigger('change');
+    // Area, in µm², of a flat beam with the same power and peak
+    // irradiance as the gaussian beam.  Null if there is no spot
+    // size.  See Excitation.spotArea.
+    get
+    spot_area() {
+        return Excitation.spotArea(this.spot_size);
     }
 
-    getElem(i) {
-        return this._stack[i];
-    }
-
-    toggleElemMode(i) {
-        const old_mode = this._stack[i].mode;
-        this._stack[i].mode = old_mode === 'r' ? 't' : 'r';
-        this._resetTransmission();
-        this.trigger('change');
-        return old_mode;
+    // Area, in µm², of a flat beam with the same power and peak
+    // irradiance as a gaussian beam, i.e., π w² / 2 with w the 1/e²
+    // radius.
+    //
+    // Args:
+    //     spot_size (float|null): 1/e² diameter of the beam, in µm.
+    //
+    // Returns:
+    //     The area, or null if the spot size is null.
+    static
+    spotArea(spot_size) {
+        if (spot_size === null)
+            return null;
+        return Math.PI * (spot_size / 2.0) ** 2 / 2.0;
     }
+}
+Excitation.prototype.header_map = new Map([
+    ...(Data.prototype.header_map),
+    ['Repetition rate', 'rep_rate'], // MHz
+    ['Pulse width', 'pulse_width'], // fs, FWHM
+    ['Power', 'power'], // mW
+    ['Spot size', 'spot_size'], // µm, 1/e² diameter
+]);
+Excitation.prototype.metadata_schema = new Map([
+    ...(Data.prototype.metadata_schema),
+]);
+Excitation.prototype.properties = Data.prototype.properties.concat([
+    'intensity',
+]);
+Excitation.prototype.optional_properties = Data.prototype.optional_properties.concat([
+    'rep_rate',
+    'pulse_width',
+    'power',
+    'spot_size',
+]);
+Excitation.prototype.import_columns = [
+    ['intensity', /intens|power|irrad|emi|spectr|count/i, true],
+];
 
-    setElemMode(i, mode) {
-        const old_mode = this._stack[i].mode;
-        if (old_mode !== mode) {
-            this._stack[i].mode = mode;
-            this._stack_i = i;
-            this._resetCache();
-            this.trigger('change');
-        }
-        return old_mode;
-    }
+// Temporal coherence factor of the pulses, for sech² pulses which is
+// what Ti:Sapphire lasers have.  It would be 0.664 for gaussian
+// pulses.
+Excitation.pulse_shape_factor = 0.588;
 
-    removeElem(i) {
-        const removed = this._stack[i];
-        if (removed !== undefined) {
-            const old_stack = this._stack;
-            this._stack = old_stack.slice(0, i).concat(old_stack.slice(i+1));
-            this._resetTransmission();
-            this.trigger('change');
-            // would be nice if we could remove the tick for the spectral selection filter.
-            //if (removed.filter.uid === 'spectral-selection') {
-            //    removed.disable()
-            //}
-        }
-        return removed;
-    }
+// Synthetic excitation sources are generated from the parameters on
+// their uid, e.g., 'laser:505' or 'led:730:30', instead of being read
+// from a data file.  See Excitation.generate.
+//
+// Each maps the uid prefix to the names of its parameters, how many
+// of them are required, and a function of the parameters which
+// returns the intensity Spectrum.  All parameters are positive
+// numbers in nm, or K for temperatures.
+Excitation.generators = {
+    // Gaussian line, 1 nm wide by default.
+    laser: {
+        parameters: ['centre', 'FWHM'],
+        required: 1,
+        spectrum: function(centre, fwhm=1.0) {
+            const sigma = fwhm / (2.0 * Math.sqrt(2.0 * Math.LN2));
+            return Excitation.lineSpectrum(centre, fwhm, 3.0,
+                                           x => Math.exp(-0.5 * (x / sigma) ** 2));
+        },
+    },
+    // Lorentzian line, e.g., for lines broadened by collisions.  Its
+    // tails are long, so it spans 50 times its FWHM on each side.
+    lorentzian: {
+        parameters: ['centre', 'FWHM'],
+        required: 2,
+        spectrum: function(centre, fwhm) {
+            return Excitation.lineSpectrum(centre, fwhm, 50.0,
+                                           x => 1.0 / (1.0 + (2.0 * x / fwhm) ** 2));
+        },
+    },
+    // LED band, from the model of Ohno (2005), Opt Eng 44:111302,
+    // which is (g + 2g⁵)/3 with g a gaussian.  It is half its peak
+    // where g is 0.8086, i.e., at 0.4609 times the gaussian width.
+    led: {
+        parameters: ['peak', 'FWHM'],
+        required: 2,
+        spectrum: function(peak, fwhm) {
+            const width = fwhm / 2.0 / 0.4609;
+            return Excitation.lineSpectrum(peak, fwhm, 3.0, function(x) {
+                const g = Math.exp(-((x / width) ** 2));
+                return (g + 2.0 * g ** 5) / 3.0;
+            });
+        },
+    },
+    // Planck's law, over the whole range of synthetic sources.
+    blackbody: {
+        parameters: ['temperature'],
+        required: 1,
+        spectrum: function(temperature) {
+            const c2 = 1.4388e7; // second radiation constant, nm K
+            const [min, max] = Excitation.synthetic_range;
+            const wavelength = Spectrum.grid(min, 1.0, max - min + 1);
+            const data = wavelength.map(
+                w => w ** -5 / (Math.exp(c2 / (w * temperature)) - 1.0)
+            );
+            return new Spectrum(wavelength, data).normalise();
+        },
+    },
+};
 
-    clone() {
-        return new FilterStack(this._stack.slice(0));
-    }
+// Wavelength range of synthetic excitation sources.
+Excitation.synthetic_range = [200, 1200];
 
-    // Whether this instance describes the same FilterStack as other.
-    //
-    // Args:
-    //     other(Array filter description)
-    isEqual(other) {
-        if (this.length !== other.length)
-            return false;
+// Intensity Spectrum of a line, peak normalised, over a number of
+// FWHM on each side of its centre, within the range of synthetic
+// sources.  Sampled in steps of a tenth of its FWHM, or 0.5 nm if
+// smaller, so that narrow lines are not lost.
+//
+// Args:
+//     centre (Number): in nm.
+//     fwhm (Number): in nm.
+//     span (Number): the number of FWHM on each side of the centre.
+//     shape (function): of the distance to the centre, in nm.
+Excitation.lineSpectrum = function(centre, fwhm, span, shape) {
+    const step = Math.min(0.5, fwhm / 10.0);
+    const first = Math.max(Excitation.synthetic_range[0], centre - span * fwhm);
+    const last = Math.min(Excitation.synthetic_range[1], centre + span * fwhm);
+    const n = Math.max(Math.floor((last - first) / step) + 1, 2);
+    const wavelength = Spectrum.grid(first, step, n);
+    return new Spectrum(wavelength, wavelength.map(w => shape(w - centre))).normalise();
+};
 
-        for (let i = 0; i < this.length; i++)
-            if (this._stack[i].mode !== other[i].mode
-                || this._stack[i].filter.uid !== other[i].filter)
-                return false;
+// The noise properties of a detector are optional.  If not defined,
+// they are those of an ideal detector, i.e., no read noise, no dark
+// current, and no gain.
+class Detector extends Data
+{
+    validate() {
+        if (! (this.qe instanceof Spectrum))
+            return "'qe' property is not a Spectrum object";
+        if (! this.qe.isValid())
+            return this.qe.validation_error;
 
-        return true;
+        for (let name of ['read_noise', 'dark_current', 'pixel_size'])
+            if (! (this[name] >= 0.0) && this[name] !== null)
+                return `${ name } must be a non-negative number`;
+        if (! (this.gain >= 1.0) && this.gain !== null)
+            return 'Gain must be a number not less than 1';
+        if (! (this.excess_noise >= 1.0) && this.excess_noise !== null)
+            return 'Excess noise factor must be a number not less than 1';
     }
 
-    map(callback) {
-        return this._stack.map(callback);
+    // Whether any of the noise properties is defined.  If not, the
+    // detector is ideal and not comparable with others.
+    get
+    has_noise_model() {
+        return ['read_noise', 'dark_current', 'gain', 'excess_noise'].some(
+            x => this[x] !== null
+        );
     }
 
-    push() {
-        const count = this._stack.push(...arguments);
-        this._resetCache();
-        this.trigger('change');
-        return count;
+    // Noise of a pixel, in e⁻ rms, referred to the input of the
+    // detector, i.e., in photoelectrons.
+    //
+    // The shot noise of the signal and dark current is multiplied by
+    // the excess noise factor, F, of the gain register (EMCCD) or
+    // dynodes (PMT), while the read noise is divided by the gain:
+    //
+    //     σ² = F² (S + D t) + (R / G)²
+    //
+    // Args:
+    //     signal (float): photoelectrons on the pixel.
+    //     exposure (float): exposure time, in ms.
+    noise(signal, exposure) {
+        const read_noise = this.read_noise === null ? 0.0 : this.read_noise;
+        const dark_current = this.dark_current === null ? 0.0 : this.dark_current;
+        const gain = this.gain === null ? 1.0 : this.gain;
+        const excess_noise = this.excess_noise === null ? 1.0 : this.excess_noise;
+
+        const dark = dark_current * exposure * 1e-3;
+        return Math.sqrt(excess_noise ** 2 * (signal + dark)
+                         + (read_noise / gain) ** 2);
     }
+}
+Detector.prototype.header_map = new Map([
+    ...(Data.prototype.header_map),
+    ['Read noise', 'read_noise'], // e⁻ rms
+    ['Dark current', 'dark_current'], // e⁻/pixel/s
+    // µm.  Only used, divided by the objective magnification, as the
+    // default pixel size at the sample of a PhotonBudget.
+    ['Pixel size', 'pixel_size'],
+    ['Gain', 'gain'], // EM or PMT gain
+    ['Excess noise factor', 'excess_noise'],
+]);
+Detector.prototype.metadata_schema = new Map([
+    ...(Data.prototype.metadata_schema),
+]);
+Detector.prototype.properties = Data.prototype.properties.concat([
+    'qe',
+]);
+Detector.prototype.optional_properties = Data.prototype.optional_properties.concat([
+    'read_noise',
+    'dark_current',
+    'pixel_size',
+    'gain',
+    'excess_noise',
+]);
+Detector.prototype.import_columns = [
+    ['qe', /\bqe\b|quantum|efficiency|sensitivity|response/i, false],
+];
 
-    [Symbol.iterator]() {
-        return this._stack[Symbol.iterator]();
+// The objective is on both the excitation and emission paths, so its
+// transmission applies to both.
+class Objective extends Data
+{
+    validate() {
+        if (! (this.transmission instanceof Spectrum))
+            return "'transmission' property is not a Spectrum object";
+        if (! this.transmission.isValid())
+            return this.transmission.validation_error;
+
+        for (let name of ['na', 'immersion_index', 'magnification'])
+            if (! (this[name] > 0.0) && this[name] !== null)
+                return `${ name } must be a positive number`;
+        if (this.na !== null && this.immersion_index !== null
+            && this.na > this.immersion_index)
+            return 'NA can not be larger than the immersion index';
     }
 }
-mixin(FilterStack, ValidationMixin);
-mixin(FilterStack, EventPubMixin);
+Objective.prototype.header_map = new Map([
+    ...(Data.prototype.header_map),
+    ['NA', 'na'],
+    ['Immersion index', 'immersion_index'],
+    ['Magnification', 'magnification'],
+]);
+Objective.prototype.metadata_schema = new Map([
+    ...(Data.prototype.metadata_schema),
+]);
+Objective.prototype.properties = Data.prototype.properties.concat([
+    'transmission',
+    'na',
+    'immersion_index',
+    'magnification',
+]);
+Objective.prototype.import_columns = [
+    ['transmission', /trans|%t\b|\bt\b/i, false],
+];
 
-// Like a Setup object but with Data instances (Detector, Dye, Excitation,
-// and Filter) replaced with their names/uids, and FilterStack replaced with
-// an Array.  This lets us to have a representation of them without
-// parsing all the filters, excitation, and dyes files.  Also much
-// easier to save them.
-//
-// See also the Setup class.
-class SetupDescription
+
+// Background fluorescence of the sample, such as autofluorescence or
+// the medium.  Like a Dye, it has absorption and emission spectra.
+// Its strength is its brightness relative to Alexa-488 at 100%
+// excitation, i.e., 1 is as bright as one molecule of Alexa-488, for
+// the amount of background per labelled molecule.
+class Background extends Data
 {
-    constructor(detector, dye, excitation, ex_path, em_path) {
-        this.detector = detector; // String or null
-        this.dye = dye; // String or null
-        this.excitation = excitation; // String or null
-        this.ex_path = ex_path; // Array of {filter: String, mode: 'r'|'t'}
-        this.em_path = em_path; // Array of {filter: String, mode: 'r'|'t'}
+    validate() {
+        for (let s_name of ['emission', 'absorption']) {
+            if (! (this[s_name] instanceof Spectrum))
+                return `${ s_name } property is not a Spectrum object`;
+            if (! this[s_name].isValid())
+                return this[s_name].validation_error;
+        }
+        if (! (this.strength >= 0.0) && this.strength !== null)
+            return 'Relative strength must be a non-negative number';
     }
+}
+Background.prototype.header_map = new Map([
+    ...(Data.prototype.header_map),
+    ['Relative strength', 'strength'],
+]);
+Background.prototype.metadata_schema = new Map([
+    ...(Data.prototype.metadata_schema),
+]);
+Background.prototype.properties = Data.prototype.properties.concat([
+    'absorption',
+    'emission',
+    'strength',
+]);
+Background.prototype.import_columns = [
+    ['absorption', /abs|exc|\bex\b/i, true],
+    ['emission', /emi|\bem\b|fluo/i, true],
+];
 
-    validate() {
-        for (let name of ['detector', 'dye', 'excitation'])
-            if (typeof(this[name]) !== 'string'
-                && ! (this[name] instanceof String)
-                && this[name] !== null)
-                return `${ name } must be a String or null`;
 
-        for (let path_name of ['ex_path', 'em_path']) {
-            const path = this[path_name];
-            if (! (path instanceof Array))
-                return `${ path_name } must be an Array`;
+// Reflection/Transmission mode is not a property of the filter, it's
+// a property of the Optical Setup.  So it's up to Setup to keep track
+// of how the filter is being used.  The same is true for the angle of
+// incidence of the light on the filter.  The filter only has its
+// design angle of incidence, the angle at which its data was
+// measured.
+class Filter extends Data
+{
+    constructor(attrs) {
+        // Some Filter files have reflection data instead of
+        // transmission so compute it.
+        if (attrs.reflection !== undefined)
+            attrs.transmission = attrs.reflection.complement();
+        super(attrs);
+        if (attrs.reflection !== undefined)
+            this.reflection = attrs.reflection;
+    }
 
-            for (let x of path) {
-                if (typeof(x.filter) !== 'string' && ! (x.filter instanceof String))
-                    return `values of ${ path_name } must have 'filter'`;
-                if (x.mode !== 'r' && x.mode !== 't')
-                    return `mode of '${ x.filter }' must be r or t`;
-                
-                // Spectral selections must have min and max
-                if (x.filter === 'spectral') {
-                    if (typeof(x.min) !== 'number' || typeof(x.max) !== 'number')
-                        return `spectral filter must have 'min' and 'max' as numbers`;
-                }
-            }
-        }
+    get
+    reflection() {
+        // lazy-get reflection, only compute if needed.
+        this.reflection = this.transmission.complement();
+        return this.reflection;
     }
 
-    // Whether this instance describes the same Setup as other.
-    //
-    // Args:
-    //     other(Setup|SetupDescription)
-    isEqual(other) {
-        if (other instanceof Setup)
-            other = other.describe();
+    set
+    reflection(val) {
+        // Delete the lazy-getter and this setter when setting the value.
+        delete this.reflection;
+        Object.defineProperty(this, 'reflection', {value: val});
+    }
 
-        if (this.detector !== other.detector
-            || this.dye !== other.dye
-            || this.excitation !== other.excitation
-            || (! this.ex_path.isEqual(other.ex_path))
-            || (! this.em_path.isEqual(other.em_path)))
-            return false;
+    // Angle of incidence, in degrees, at which the filter data was
+    // measured.  If not specified on the file, we assume normal
+    // incidence.
+    get
+    design_angle() {
+        return this.aoi === null ? 0.0 : this.aoi;
+    }
 
-        return true;
+    // Effective refractive index of the filter, for computing the
+    // shift with angle of incidence.
+    get
+    effective_index() {
+        return this.n_eff === null ? Filter.default_n_eff : this.n_eff;
     }
 
-    toJSON(key) {
-        // TODO: I can't really make sense of JSON.stringify
-        //     documentation.  When called on the object being
-        //     serialised, then 'key' will be an empty string.  I
-        //     don't quite understand the other cases...
+    // Transmission or reflection at a specific angle of incidence.
+    //
+    // Interference filters shift to shorter wavelengths with
+    // increasing angle of incidence, following the thin-film
+    // formula:
+    //
+    //     λ(θ) = λ(0) * sqrt(1 - (sin(θ) / n_eff)^2)
+    //
+    // The filter data was measured at its design angle, so the
+    // wavelengths are first converted to normal incidence.
+    //
+    // Args:
+    //     pname (String): 'transmission' or 'reflection'.
+    //     angle (float): angle of incidence in degrees.
+    //     n_eff (float): effective refractive index.
+    spectrumAt(pname, angle, n_eff=this.effective_index) {
+        if (angle === this.design_angle && n_eff === this.effective_index)
+            return this[pname];
+
+        // Shifting the spectrum is not expensive but SetupPlot and
+        // FilterStack cache by Spectrum instance, so keep the
+        // shifted spectra.
+        if (this._shifted === undefined)
+            this._shifted = new Map;
+        const key = `${ pname } ${ angle } ${ n_eff }`;
+        if (! this._shifted.has(key)) {
+            const shift = (theta) => Math.sqrt(
+                1.0 - (Math.sin(theta * Math.PI / 180.0) / n_eff) ** 2
+            );
+            const factor = shift(angle) / shift(this.design_angle);
+            const spectrum = this[pname];
+            const wavelength = spectrum.wavelength.map(x => x * factor);
+            this._shifted.set(key, new Spectrum(wavelength, spectrum.data));
+        }
+        return this._shifted.get(key);
+    }
 
-        const obj = {
-            detector: this.detector,
-            dye: this.dye,
-            excitation: this.excitation,
-            ex_path: this.ex_path,
-            em_path: this.em_path,
-        };
-        return obj;
+    validate() {
+        if (! (this.transmission instanceof Spectrum))
+            return "'transmission' property is not a Spectrum object";
+        if (! this.transmission.isValid())
+            return this.transmission.validation_error;
+        if (this.aoi !== null && ! (this.aoi >= 0.0 && this.aoi < 90.0))
+            return 'Angle of incidence must be in the [0 90[ interval';
+        if (this.n_eff !== null && ! (this.n_eff >= 1.0))
+            return 'Effective index must be a number above 1';
     }
 }
-mixin(SetupDescription, ValidationMixin);
+Filter.prototype.header_map = new Map([
+    ...(Data.prototype.header_map),
+    ['Angle of incidence', 'aoi'],
+    ['Effective index', 'n_eff'],
+]);
+Filter.prototype.metadata_schema = new Map([
+    ...(Data.prototype.metadata_schema),
+    // Vendor notes on the data, e.g., the OD where the measurement
+    // is noise limited.
+    ['Notes', {field: 'notes', type: 'text'}],
+]);
+Filter.prototype.properties = Data.prototype.properties.concat([
+    'transmission',
+]);
+Filter.prototype.optional_properties = Data.prototype.optional_properties.concat([
+    'aoi',
+    'n_eff',
+    'design', // FilterDesign of synthetic filters
+]);
+// Filters measured in reflection are imported like the Filter files
+// with a reflection column.
+Filter.prototype.import_columns = [
+    ['transmission', /trans|%t\b|\bt\b/i, false],
+    ['reflection', /refl|%r\b|\br\b/i, false],
+];
 
-// Handles the computation of the Setup efficiency, transmission, etc.
+// Effective refractive index for filters that do not specify one.
+// This is a middle value for the thin film materials commonly used.
+Filter.default_n_eff = 2.0;
+
+// Parameters of a synthetic interference filter, to try filters for
+// which there is no measured data yet, e.g., a 525/50 bandpass with
+// OD6 blocking and 3 nm edges.  See toFilter.
 //
-// It triggers change events for the detector, dye, excitation,
-// ex_path, and em_path.  This is the model for what will eventually
-// get displayed.  All user interactions get modelled into changes to
-// an Setup instance.
+// Args:
+//     type (String): 'bandpass', 'longpass', 'shortpass', or
+//         'multiband'.
+//     bands (Array<Object>): the passbands of bandpass and multiband
+//         filters, each with its 'centre' and 'width' in nm.
+//         Bandpass filters have one band, multiband filters two or
+//         more.
+//     cut (Number): the edge wavelength, at half the peak, of
+//         longpass and shortpass filters.
+//     edge (Number): width, in nm, over which the transmission rises
+//         from 10% to 90% of the peak, like SpectralSelectionFilter
+//         bands.  Zero for ideal edges.
+//     peak (Number): transmission in the passbands, in the ]0 1]
+//         interval.
+//     od (Number): blocking outside the passbands, in optical
+//         density.
 //
-// There is also an SetupDescription which does not have the actual
-// Detector, Dye, Excitation, and Filter objects, instead it replaces
-// them with their uids.
-class Setup
+// Like Sampling, this is meant to be immutable.
+class FilterDesign
 {
-    constructor() {
-        this._events = {}; // for the EventPubMixin
+    constructor({type='bandpass', bands=[{centre: 525, width: 50}], cut=500,
+                 edge=3, peak=0.95, od=6} = {}) {
+        this.type = type;
+        this.bands = bands;
+        this.cut = cut;
+        this.edge = edge;
+        this.peak = peak;
+        this.od = od;
+    }
 
-        // The filters are an array of Objects with filter and
-        // mode keys.  We can't use a Map and the filter as key
-        // because we may have the same filter multiple times.
-        // 'filter' value is a Filter object. 'mode' value is a
-        // char with value of 'r' or 't'.
-        this._ex_path = new FilterStack;
-        this._em_path = new FilterStack;
+    validate() {
+        if (! FilterDesign.types.includes(this.type))
+            return `unknown filter design type '${ this.type }'`;
+        for (let name of ['edge', 'peak', 'od'])
+            if (typeof(this[name]) !== 'number' || isNaN(this[name]))
+                return `filter design ${ name } must be a number`;
+        if (this.edge < 0.0)
+            return 'filter design edge must not be negative';
+        if (! (this.peak > 0.0 && this.peak <= 1.0))
+            return 'filter design peak must be in the ]0 1] interval';
+        if (this.od < 0.0)
+            return 'filter design OD must not be negative';
+
+        const [min, max] = FilterDesign.range;
+        if (this.type === 'longpass' || this.type === 'shortpass') {
+            if (! Number.isFinite(this.cut) || ! (this.cut > min && this.cut < max))
+                return `filter design edge wavelength must be in the ]${ min } ${ max }[ interval`;
+            return;
+        }
 
-        this.ex_path.on('change', this.trigger.bind(this, 'change'));
-        this.em_path.on('change', this.trigger.bind(this, 'change'));
+        if (! Array.isArray(this.bands))
+            return 'filter design bands must be an Array';
+        if (this.type === 'bandpass' && this.bands.length !== 1)
+            return 'bandpass filter design must have one band';
+        if (this.type === 'multiband' && this.bands.length < 2)
+            return 'multiband filter design must have two or more bands';
+        for (let band of this.bands) {
+            if (typeof(band) !== 'object' || band === null)
+                return 'filter design bands must be Objects';
+            if (! Number.isFinite(band.centre) || ! Number.isFinite(band.width))
+                return 'filter design band centre and width must be numbers';
+            if (! (band.width > 0.0))
+                return 'filter design band width must be positive';
+            if (band.centre - band.width/2 < min || band.centre + band.width/2 > max)
+                return `filter design bands must be in the [${ min } ${ max }] interval`;
+        }
     }
 
-    // Scaled excitation
+    // Name of the design, e.g., '525/50' for a bandpass or 'LP 500'
+    // for a longpass, like filter vendors do.
     get
-    ex_transmission() {
-        if (this.excitation === null)
-            return null;
-        else if (this.ex_path.length === 0)
-            return this.excitation.intensity;
-        else
-            return this.ex_path.transmissionOf(this.excitation.intensity);
+    name() {
+        if (this.type === 'longpass')
+            return `LP ${ this.cut }`;
+        else if (this.type === 'shortpass')
+            return `SP ${ this.cut }`;
+        return this.bands.map(x => `${ x.centre }/${ x.width }`).join(' ');
     }
 
-    // Dye emission, scaled by emission path and detector
+    // Unique for each design, so that different designs can all be on
+    // the filter collection, e.g., 'Design 525/50 OD6, 3 nm, 95%'.
     get
-    em_transmission() {
-        if (this.dye === null)
-            return null;
+    uid() {
+        const peak = Math.round(this.peak * 1000) / 10;
+        return `Design ${ this.name } OD${ this.od }, ${ this.edge } nm, ${ peak }%`;
+    }
+
+    // The passbands as SpectralSelectionFilter bands.  Longpass and
+    // shortpass filters have an infinite passband.
+    get
+    passbands() {
+        const band = (min, max) => ({min: min, max: max, edge: this.edge,
+                                     peak: this.peak});
+        if (this.type === 'longpass')
+            return [band(this.cut, Infinity)];
+        else if (this.type === 'shortpass')
+            return [band(-Infinity, this.cut)];
+        return this.bands.map(x => band(x.centre - x.width/2,
+                                        x.centre + x.width/2));
+    }
+
+    // Transmission over the whole FilterDesign.range, in steps of
+    // FilterDesign.step, so that the sampling policy of a Setup can
+    // use it like measured data.  Outside the passbands, the
+    // transmission is never below the blocking.
+    get
+    transmission() {
+        const [min, max] = FilterDesign.range;
+        const step = FilterDesign.step;
+        const wavelength = Spectrum.grid(min, step, Math.round((max - min) / step) + 1);
+        const blocking = Math.pow(10, -this.od);
+        const passbands = this.passbands;
+        const data = wavelength.map(function(w) {
+            let value = blocking;
+            for (let band of passbands)
+                value = Math.max(value, SpectralSelectionFilter.bandValue(band, w));
+            return value;
+        });
+        return new Spectrum(wavelength, data);
+    }
+
+    // A new Filter with the transmission of this design.  The design
+    // is kept on the Filter so that it can be described on a
+    // SetupDescription.  See FilterStack.describeElem.
+    toFilter() {
+        return new Filter({
+            uid: this.uid,
+            transmission: this.transmission,
+            design: this,
+            metadata: {name: this.name, type: [this.type]},
+        });
+    }
+
+    // Promise of the Filter for this design on a filter collection.
+    // It is added to the collection if not there yet, so that it can
+    // be dragged into the paths like any other filter.
+    //
+    // Args:
+    //     filters (DataCollection<Filter>):
+    addTo(filters) {
+        if (! filters.has(this.uid))
+            filters.set(this.uid, Promise.resolve(this.toFilter()));
+        return filters.get(this.uid);
+    }
 
-        let transmission;
-        if (this.em_path.length === 0)
-            transmission = this.dye.emission;
+    // For a SetupDescription, only with the parameters of its type.
+    describe() {
+        const description = {type: this.type};
+        if (this.type === 'longpass' || this.type === 'shortpass')
+            description.cut = this.cut;
         else
-            transmission = this.em_path.transmissionOf(this.dye.emission);
+            description.bands = this.bands.map(
+                x => ({centre: x.centre, width: x.width})
+            );
+        description.edge = this.edge;
+        description.peak = this.peak;
+        description.od = this.od;
+        return description;
+    }
 
-        if (this.detector !== null) {
-            transmission = transmission.clone();
-            transmission.data = transmission.multiplyBy(this.detector.qe);
-        }
-        return transmission;
+    static
+    fromDescription(description) {
+        return new FilterDesign(description);
     }
+}
+mixin(FilterDesign, ValidationMixin);
 
-    // Efficiency of the dye excitation, not of the excitation path.
-    get
-    ex_efficiency() {
-        const source = this.excitation.intensity;
-        const dye_ex = this.dye.absorption;
+FilterDesign.types = ['bandpass', 'longpass', 'shortpass', 'multiband'];
 
-        const dye_ex_in_path = this.ex_path.transmissionOf(source).clone();
-        dye_ex_in_path.data = dye_ex_in_path.multiplyBy(dye_ex);
+// Wavelength range, and its step, of the transmission of designed
+// filters.  This is wider than the range of most measured filters.
+FilterDesign.range = [200, 1200];
+FilterDesign.step = 0.5;
 
-        return dye_ex_in_path.area / source.area;
+
+// A synthetic filter that generates transmission windows, or bands,
+// between pairs of wavelengths, like the spectral detector of a
+// confocal or an AOTF on the excitation path.
+//
+// Unlike normal filters, this generates its spectrum dynamically based on
+// the wavelength parameters, and the transmission spectrum is composed on demand.
+// The wavelengths used are set by its Sampling policy.
+//
+// Args:
+//     bands (Array<Object>): each with 'min' and 'max' wavelengths,
+//         and optional 'edge' and 'peak'.  The edge is the width, in
+//         nm, over which the transmission rises from 10% to 90% of
+//         the peak, with 0 for an ideal step.  The peak is the
+//         transmission inside the band, 1 by default.  Where bands
+//         overlap, the transmission is the highest of them.
+//     sampling (Sampling):
+//
+// We want this class to provide immutable objects.  To change the
+// bands of a spectral selection on a path, replace it with a new
+// instance.  See FilterStack.setElemFilter.
+class SpectralSelectionFilter
+{
+    constructor(bands = [{min: 500, max: 600}], sampling = Sampling.global) {
+        this.uid = 'spectral-selection';
+        this.bands = bands.map(
+            x => Object.assign({edge: 0.0, peak: 1.0}, x)
+        );
+        this.sampling = sampling;
     }
 
+    // Name for display, e.g., 'Spectral 500-550, 600-650 nm'.
     get
-    em_efficiency() {
-        return this.em_transmission.area / this.dye.emission.area;
+    name() {
+        const ranges = this.bands.map(x => `${ x.min }-${ x.max }`);
+        return `Spectral ${ ranges.join(', ') } nm`;
     }
 
-    // Describe this instance, i.e., replace the Filter, Dye, and
-    // Excitation objects with their names.
-    describe() {
-        const description = new SetupDescription(
-            this.detector ? this.detector.uid : null,
-            this.dye ? this.dye.uid : null,
-            this.excitation ? this.excitation.uid : null,
-            this.ex_path.describe(),
-            this.em_path.describe(),
+    // Transmission of one band at a wavelength.  Soft edges are
+    // logistic functions, whose 10% to 90% rise is over 2 ln(9)
+    // times their scale.
+    static
+    bandValue(band, w) {
+        if (band.edge === 0.0)
+            return (w >= band.min && w <= band.max) ? band.peak : 0.0;
+        const scale = band.edge / (2.0 * Math.log(9.0));
+        return (band.peak / (1.0 + Math.exp((band.min - w) / scale))
+                / (1.0 + Math.exp((w - band.max) / scale)));
+    }
+
+    // Get transmission spectrum generated with the sampling policy.
+    get transmission() {
+        // This is a getter without a backing field. Since we don't store specific
+        // wavelengths, we return a spectrum that will be interpolated.
+        // If the sampling policy has no range, use the same default
+        // range of 300 to 700 nm that SpekCheck always used.
+        const sampling = this.sampling;
+        const minw = Math.min(...this.bands.map(x => x.min),
+                              sampling.min !== null ? sampling.min : 300);
+        const maxw = Math.max(...this.bands.map(x => x.max),
+                              sampling.max !== null ? sampling.max : 700);
+        const wavelengths = sampling.grid(minw, maxw);
+        const data = wavelengths.map(
+            w => Math.max(...this.bands.map(x => SpectralSelectionFilter.bandValue(x, w)))
         );
-        if (! description.isValid())
-            throw new Error(description.validation_error);
-        return description;
+        return new Spectrum(wavelengths, data);
     }
 
-    empty() {
-        this._detector = null;
-        this._dye = null;
-        this._excitation = null;
-        this.ex_path._empty();
-        this.em_path._empty();
-        this.trigger('change');
+
+    // For compatibility with Filter reflection mode
+    get reflection() {
+        return this.transmission.complement();
     }
 
-    // Relative brightness compared to Alexa-448 at 100% excitation.
-    get
-    brightness() {
-        if (this.dye === null || this.excitation === null)
-            throw new Error('no dye or excitation to compute brightness');
+    // Validate that wavelengths are in sensible order
+    validate() {
+        if (! Array.isArray(this.bands) || this.bands.length === 0)
+            return "spectral selection must have at least one band";
+        for (let band of this.bands) {
+            for (let key of ['min', 'max', 'edge', 'peak'])
+                if (typeof band[key] !== 'number')
+                    return `band ${ key } must be a number`;
+            if (band.min >= band.max)
+                return "band min must be less than max";
+            if (band.min < 300 || band.max > 1000)
+                return "wavelengths must be in reasonable range (300-1000 nm)";
+            if (! (band.edge >= 0.0))
+                return "band edge must be a non-negative number";
+            if (! (band.peak > 0.0 && band.peak <= 1.0))
+                return "band peak must be in the ]0 1] interval";
+        }
+        return null;
+    }
 
-        if (this.dye.q_yield === null || this.dye.ex_coeff === null)
-            return NaN;
+    isValid() {
+        const error = this.validate();
+        this.validation_error = error;
+        return error === null;
+    }
 
-        const bright = ((this.ex_efficiency * this.dye.q_yield
-                         * this.dye.ex_coeff * this.em_efficiency)
-                        / Dye.Alexa488_brightness);
-        // multiply by 10 to give reasonable range of values?
-        return bright * 10;
+    // Description of the bands, without the default edge and peak,
+    // for a SetupDescription.  See FilterStack.describeElem.
+    describe() {
+        return this.bands.map(function(band) {
+            const description = {min: band.min, max: band.max};
+            if (band.edge !== 0.0)
+                description.edge = band.edge;
+            if (band.peak !== 1.0)
+                description.peak = band.peak;
+            return description;
+        });
     }
 
-    clone() {
-        const clone = new Setup();
-        for (let p of ['detector', 'dye', 'excitation', 'ex_path', 'em_path'])
-            clone[p] = this[p];
-        return clone;
+    // Inverse of describe, from a path element of a
+    // SetupDescription.  Older descriptions have a single band with
+    // 'min' and 'max' on the element itself.
+    static
+    fromDescription(description, sampling = Sampling.global) {
+        const bands = (description.bands !== undefined
+                       ? description.bands
+                       : [{min: description.min, max: description.max}]);
+        return new SpectralSelectionFilter(bands, sampling);
     }
-}
-mixin(Setup, EventPubMixin);
 
-// Adds a setter and getter for this properties, so it
-// triggers change events for all of them.
-for (let p_name of ['detector', 'dye', 'excitation', 'ex_path', 'em_path']) {
-    const attr_name = `_${ p_name }`;
-    Object.defineProperty(Setup.prototype, attr_name, {
-        value: null,
-        writable: true,
-    });
-    Object.defineProperty(Setup.prototype, p_name, {
-        get: function () {
-            return this[attr_name];
-        },
-        set: function (val) {
-            this[attr_name] = val;
-            this.trigger('change');
-        },
-    });
+    // Single band that optimises the dye signal on a Setup, to
+    // replace all the bands of this filter.  This filter is not
+    // changed, the band is only returned.
+    //
+    // The band edges are searched on the sampling grid, within the
+    // valid 300-1000 nm range.  The emission collected by a band
+    // comes from the prefix sums of the Setup emission transmission
+    // without this filter, so each band takes constant time.  The
+    // emission efficiency only grows with the band width, so for it
+    // only the widest bands away from the excitation lines are
+    // compared.  For the crosstalk, all pairs of min and max are
+    // compared, on a grid no finer than
+    // SpectralSelectionFilter.crosstalk_step so that it stays fast.
+    // The search is for an ideal band with the peak of the first band
+    // of this filter.  Its edge is only used for the reported
+    // efficiency.
+    //
+    // Args:
+    //     setup (Setup): with a dye and excitation.  This filter is
+    //         ignored if it is on the emission path.
+    //     options (Object): with keys:
+    //         objective (String): 'emission' to maximise the emission
+    //             efficiency, or 'crosstalk' to minimise the
+    //             bleed-through of the second dye.
+    //         guard (float): minimum distance, in nm, between the
+    //             band and each excitation line, i.e., each local
+    //             maximum of the excitation above half its peak.
+    //         min_efficiency (float): minimum emission efficiency,
+    //             in the [0 1] interval.
+    //         second_dye (Dye|null): required for 'crosstalk'.
+    //
+    // Returns:
+    //     Object with the 'band', with the edge and peak of the
+    //     first band of this filter, and the Setup 'em_efficiency'
+    //     and 'bleed_through' with that band.
+    //     The bleed-through is the second dye signal in percentage
+    //     of the dye signal, like Experiment.bleedThrough, or NaN
+    //     without a second dye.  Null if no band satisfies the
+    //     constraints.
+    optimise(setup, {objective='emission', guard=0.0, min_efficiency=0.0,
+                     second_dye=null} = {}) {
+        if (setup.dye === null || setup.excitation === null)
+            throw new Error('no dye or excitation to optimise spectral selection');
+        if (objective === 'crosstalk' && second_dye === null)
+            throw new Error('crosstalk objective requires a second dye');
+
+        // The setup without this filter, where the band is added.
+        const without = setup.clone();
+        without.em_path = new FilterStack(
+            Array.from(setup.em_path).filter(x => x.filter !== this),
+            setup.sampling
+        );
+        const search_sampling = (
+            (objective === 'crosstalk'
+             && this.sampling.step < SpectralSelectionFilter.crosstalk_step)
+            ? new Sampling({step: SpectralSelectionFilter.crosstalk_step})
+            : this.sampling
+        );
+        const grid = search_sampling.grid(300, 1000);
+        const step = search_sampling.step;
+        const n = grid.length;
+        const edge = this.bands[0].edge;
+        const peak = this.bands[0].peak;
+
+        // Prefix sums of the emission efficiency, with the trapezoid
+        // rule, for the dye and for the second dye weighted by their
+        // relative excitation.
+        const prefixSums = function(dye_setup) {
+            const transmission = dye_setup.em_transmission.resample(grid).data;
+            const scale = peak / dye_setup.dye.emission.area;
+            const sums = new Float64Array(n);
+            for (let i = 1; i < n; i++)
+                sums[i] = (sums[i-1]
+                           + 0.5 * step * (transmission[i-1] + transmission[i]) * scale);
+            return sums;
+        };
+        const own = prefixSums(without);
+        let other = null;
+        if (second_dye !== null) {
+            const second = without.clone();
+            second.dye = second_dye;
+            const relative_ex = second.ex_efficiency / without.ex_efficiency;
+            other = prefixSums(second).map(x => x * relative_ex);
+        }
+
+        const intensity = setup.excitation.intensity;
+        const data = intensity.data;
+        const half_peak = 0.5 * data.reduce((a, b) => Math.max(a, b), 0.0);
+        const lines = [];
+        for (let i = 0; i < data.length; i++)
+            if (data[i] >= half_peak && ! (data[i-1] > data[i])
+                && ! (data[i+1] >= data[i]))
+                lines.push(intensity.wavelength[i]);
+        const allowed = Array.from(
+            grid, w => lines.every(line => Math.abs(w - line) >= guard)
+        );
+
+        // Bands are compared by score, and then by efficiency, which
+        // breaks ties of zero bleed-through.
+        let best = null;
+        const compare = function(a, b) {
+            const efficiency = own[b] - own[a];
+            if (efficiency < min_efficiency)
+                return;
+            const score = (objective === 'crosstalk'
+                           ? - (other[b] - other[a]) / efficiency
+                           : efficiency);
+            if (isNaN(score))
+                return;
+            if (best === null || score > best.score
+                || (score === best.score && efficiency > best.efficiency))
+                best = {a: a, b: b, score: score, efficiency: efficiency};
+        };
+        if (objective === 'crosstalk') {
+            for (let a = 0; a < n; a++)
+                for (let b = a+1; b < n && allowed[a] && allowed[b]; b++)
+                    compare(a, b);
+        } else {
+            // Each run of allowed wavelengths is the widest band,
+            // without the ends where it collects no emission.
+            let start = 0;
+            while (start < n) {
+                let end = start;
+                while (end+1 < n && allowed[start] && allowed[end+1])
+                    end++;
+                let a = start;
+                let b = end;
+                while (a < b && own[a+1] === own[a])
+                    a++;
+                while (b > a && own[b-1] === own[b])
+                    b--;
+                if (b > a)
+                    compare(a, b);
+                start = end+1;
+            }
+        }
+        if (best === null)
+            return null;
+
+        // Report the values of the actual filter, not the prefix
+        // sums, which miss the edges of the band.
+        const band = {min: grid[best.a], max: grid[best.b], edge: edge, peak: peak};
+        const band_setup = without.clone();
+        band_setup.em_path = without.em_path.clone();
+        band_setup.em_path.push({
+            filter: new SpectralSelectionFilter([band], this.sampling),
+            mode: 't',
+        });
+        let bleed_through = NaN;
+        if (second_dye !== null) {
+            const second = band_setup.clone();
+            second.dye = second_dye;
+            bleed_through = (100.0 * (second.ex_efficiency * second.em_efficiency)
+                             / (band_setup.ex_efficiency * band_setup.em_efficiency));
+        }
+        return {
+            band: band,
+            em_efficiency: band_setup.em_efficiency,
+            bleed_through: bleed_through,
+        };
+    }
 }
+SpectralSelectionFilter.prototype.validation_error = null;
 
+// Finest grid step, in nm, on which the crosstalk optimisation
+// compares all pairs of band edges.
+SpectralSelectionFilter.crosstalk_step = 1.0;
 
-// Pretty much a wrapper around Map to trigger events when it changes.
-class Collection // also kind of a Map
+
+// Meant to represents one of the two paths (excitation and emission)
+// on a Setup.
+class FilterStack
 {
-    constructor(iterable) {
+    constructor(stack=[], sampling=Sampling.global) {
         this._events = {}; // for the EventPubMixin
-        this._map = new Map(iterable);
+        this._stack = stack; // Array of {filter: Filter, mode: 'r'|'t'}
+        this._setSampling(sampling);
     }
 
+    // Sampling policy for the transmission spectrum.
     get
-    size() {
-        return this._map.size;
+    sampling() {
+        return this._sampling;
     }
 
-    clear() {
-        this._map.clear();
-        this.trigger('clear');
+    set
+    sampling(val) {
+        if (val === this._sampling)
+            return;
+        this._setSampling(val);
+        this.trigger('change');
     }
 
-    delete(key) {
-        const deleted_something = this._map.delete(key);
-        if (deleted_something)
-            this.trigger('delete', [key]);
-        return deleted_something;
+    // Like setting sampling, but doesn't trigger a change event.  To
+    // be used by Setup so that it can change both stacks and then
+    // trigger a change itself.
+    _setSampling(val) {
+        this._sampling = val; // Sampling
+        this._stack = this._shareSampling(this._stack);
+        this._resetTransmission();
     }
 
-    entries() {
-        return this._map.entries();
+    // Spectral selections generate their spectrum, so they should
+    // use the same sampling policy as the stack they are part of.
+    // Those with another policy are replaced, and not changed in
+    // place, since other stacks may share them.
+    //
+    // Returns:
+    //     An Array with the elements to use on this stack.
+    _shareSampling(elems) {
+        return Array.from(elems, (function(x) {
+            if (! (x.filter instanceof SpectralSelectionFilter)
+                || x.filter.sampling === this._sampling)
+                return x;
+            const filter = new SpectralSelectionFilter(x.filter.bands,
+                                                       this._sampling);
+            return Object.assign({}, x, {filter: filter});
+        }).bind(this));
     }
 
-    get(key) {
-        return this._map.get(key);
-    }
+    _resetTransmission() {
+        this._transmission = null; // Spectrum or null
 
-    has(key) {
-        return this._map.has(key);
-    }
+        // When a new filter is added to the filterstack, we can add it
+        // to the previously computed transmission instead of
+        // computing the whole thing again.
+        //
+        // This is the index of the next filter that needs to be used
+        // to update the transmission spectrum.
+        this._stack_i = 0;
 
-    keys() {
-        return this._map.keys();
+        // If we reset the transmission, this is implicit.
+        this._resetCache();
     }
 
-    set(key, value) {
-        const event = this._map.has(key) ? 'change' : 'add';
-        this._map.set(key, value);
-        this.trigger(event, [key]);
+    _resetCache() {
+        // Maps Spectrum instances to their transmission Spectrum in
+        // this FilterStack.
+        this._transmitted_cache = new WeakMap;
     }
 
-    values() {
-        return this._map.values();
+    // Number of filters in the path.
+    get
+    length() {
+        return this._stack.length;
     }
 
-    [Symbol.iterator]() {
-        return this._map[Symbol.iterator]();
-    }
-}
-mixin(Collection, EventPubMixin);
+    // Spectrum of an element of a FilterStack, i.e., the transmission
+    // or reflection of its filter, at its angle of incidence.
+    //
+    // Args:
+    //     elem (Object): with 'filter' and 'mode' keys, and
+    //         optional 'angle' and 'n_eff' keys.  If 'angle' is
+    //         not defined, the filter is used at its design angle.
+    static
+    elemSpectrum(elem) {
+        if (elem.mode !== 't' && elem.mode !== 'r')
+            throw new Error(`invalid mode '${ elem.mode }'`);
+        const pname = elem.mode === 't' ? 'transmission' : 'reflection';
 
-// Like Collection for Filter, Detectors, Dyes, and Excitation.
-//
-// The elements of this collection will all be promises of our Data
-// instances.  The reading of the data files is actually delayed until
-// it is requested, hence it should be used like:
-//
-//    collection.get(uid).then(...)
-//
-// XXX: the first argument of the constructor is Array<key> instead of
-//     Array<[key, val]> like the base classes Collection and Map.
-//     This is weird and not great design.
-//
-// Args:
-//     uids (Array<String>): these are expected to be filenames too
-//       (without the .csv extension (lowercase)
-//     datadir(String): directory where the files from uids will be
-//     reader (function): will parse the text of a file and
-//        return a Data object.  See Data.constructFromText.
-class DataCollection extends Collection
-{
-    constructor(uids, datadir, reader) {
-        // We can keep track of which ones have already been read,
-        // because their value will be undefined.
-        super(uids.map(x => [x, undefined]));
-        this.datadir = datadir;
-        this.reader = reader;
+        const filter = elem.filter;
+        if (! (filter instanceof Filter)
+            || (elem.angle === undefined && elem.n_eff === undefined))
+            return filter[pname];
+
+        const angle = elem.angle === undefined ? filter.design_angle : elem.angle;
+        const n_eff = elem.n_eff === undefined ? filter.effective_index : elem.n_eff;
+        return filter.spectrumAt(pname, angle, n_eff);
     }
 
-    get(key) {
-        // Also check if the key actually exists first, because get
-        // returns undefined if not, and so we couldn't distinguish
-        // between an invalid key and a not yet read value.
-        if (this.has(key) && super.get(key) === undefined) {
-            const fpath = this.datadir + key + '.csv';
-            const value = $.ajax({
-                url: fpath,
-                dataType: 'text',
-            }).then(
-                text => this.reader(text, {'uid': key}),
-                // throw an Error instance so it's handled like any
-                // other error downstream.
-                (jqXHR) => {throw new Error(jqXHR.statusText);}
-            );
-            this._map.set(key, value);
-        }
-        return super.get(key);
+    // Description of an element of a FilterStack, with the filter
+    // replaced by its uid.  See SetupDescription.
+    static
+    describeElem(elem) {
+        if (elem.filter instanceof SpectralSelectionFilter)
+            return {
+                filter: 'spectral',
+                mode: elem.mode,
+                bands: elem.filter.describe(),
+            };
+
+        const description = {filter: elem.filter.uid, mode: elem.mode};
+        if (elem.angle !== undefined)
+            description.angle = elem.angle;
+        if (elem.n_eff !== undefined)
+            description.n_eff = elem.n_eff;
+        // Designed filters are described by their parameters, they
+        // may not be on the filter collection.
+        if (elem.filter.design !== null)
+            description.design = elem.filter.design.describe();
+        return description;
     }
 
-    // This methods would require reading all of the data files which
-    // kinda defeats the purpose of this class.
-    entries() {
-        throw new Error('not a useful method for lazy loading');
+    // Inverse of describeElem.
+    //
+    // Args:
+    //     description (Object): an element of a path from a
+    //         SetupDescription.
+    //     filter (Filter|SpectralSelectionFilter): the filter for the
+    //         description uid, see SpectralSelectionFilter.fromDescription
+    //         for the 'spectral' uid, and FilterDesign.toFilter for
+    //         descriptions with a 'design'.
+    static
+    elemFromDescription(description, filter) {
+        const elem = {filter: filter, mode: description.mode};
+        if (description.angle !== undefined)
+            elem.angle = description.angle;
+        if (description.n_eff !== undefined)
+            elem.n_eff = description.n_eff;
+        return elem;
     }
-    values() {
-        throw new Error('not a useful method for lazy loading');
+
+    validate() {
+        for (let x of this._stack) {
+            if (! (x.filter instanceof Filter))
+                return "all elements of FilterStack must have a 'Filter'";
+            if (! x.filter.isValid())
+                return x.filter.validation_error;
+            if (x.mode !== 'r' || x.mode !== 't')
+                return `mode of '${ x.filter.uid }' must be r or t`;
+        }
+    }
+
+    // Transmission spectrum of the whole filter stack
+    get
+    transmission() {
+        // XXX: what to when the stack is empty?  In practice, this
+        //     should mean that we have complete transmission in all
+        //     wavelengths.  However, the assumption in have in
+        //     Spectrum and throughout SpekCheck is that data is zero
+        //     whenever we have no information.  So we error to make
+        //     note of this odd request.  Alternatively, maybe we
+        //     could return Spectrum([0, Inf], [1.0, 1.0])
+        if (this.length === 0)
+            throw new Error('no filters on stack to compute transmission');
+
+        // Create a new Spectrum object, appropriate to the filters we
+        // have in the stack.  The wavelength range and step are
+        // defined by the sampling policy.
+        if (this._transmission === null) {
+            const spectra = this._stack.map(FilterStack.elemSpectrum);
+            const [init, end] = this.sampling.range(spectra);
+            const wavelength = this.sampling.grid(init, end);
+            const data = new Array(wavelength.length).fill(1.0);
+            this._transmission = new Spectrum(wavelength, data);
+        }
+
+        // Update the transmission spectrum with any pending filters.
+        const wavelength = this._transmission.wavelength;
+        for (; this._stack_i < this.length; this._stack_i++) {
+            const elem = this._stack[this._stack_i];
+            const filter_spectrum = FilterStack.elemSpectrum(elem).resample(
+                wavelength, this.sampling.extrapolation
+            );
+            this._transmission = this._transmission.multiply(filter_spectrum);
+        }
+
+        return this._transmission;
+    }
+
+    // Transmission spectrum that 'source' will have in this FilterStack.
+    transmissionOf(source) {
+        if (! this._transmitted_cache.has(source)) {
+            let transmitted;
+            if (this.length === 0)
+                transmitted = source.clone();
+            else {
+                // Use the source wavelength as range for transmitted
+                // which we hope will be smaller than FilterStack.
+                // Outside the FilterStack range, transmission is set
+                // by the sampling extrapolation.
+                const transmission = this.transmission;
+                const init = source.wavelength[0];
+                const end = source.wavelength[source.length -1];
+                const wavelength = Spectrum.subGrid(
+                    Spectrum.mergeWavelengths(source.wavelength,
+                                              transmission.wavelength),
+                    init, end
+                );
+                transmitted = source.resample(wavelength).multiply(
+                    transmission.resample(wavelength,
+                                          this.sampling.extrapolation)
+                );
+            }
+
+            this._transmitted_cache.set(source, transmitted);
+        }
+        return this._transmitted_cache.get(source);
+    }
+
+    // Blocking of this FilterStack, in optical density, at a specific
+    // wavelength.  For example, the blocking of an emission path at
+    // the wavelength of the excitation laser line.
+    //
+    // Returns:
+    //     An Object with the total optical density 'od', and the
+    //     optical density of the individual 'elements' in the stack, each an
+    //     Object with the filter uid, its mode, and its 'od'.  An
+    //     optical density of Infinity means that there is no
+    //     transmission at all.  When the wavelength is outside the
+    //     range of an element spectrum, its optical density is null,
+    //     as well as the total, since the blocking is unknown.
+    blocking(wavelength) {
+        const extrapolation = this.sampling.extrapolation;
+        const elements = this._stack.map(function(x) {
+            const spectrum = FilterStack.elemSpectrum(x);
+            const wl = spectrum.wavelength;
+            let od = null;
+            if (wavelength >= wl[0] && wavelength <= wl[wl.length-1])
+                od = Spectrum.toOD(spectrum.valueAt(wavelength, extrapolation));
+            return {
+                uid: x.filter.uid,
+                mode: x.mode,
+                od: od,
+            };
+        });
+
+        // The transmission of the stack is the product of its
+        // elements, so its optical density is their sum.
+        let total = 0.0;
+        for (let x of elements) {
+            if (x.od === null) {
+                total = null;
+                break;
+            }
+            total += x.od;
+        }
+        return {od: total, elements: elements};
+    }
+
+    describe() {
+        return this._stack.map(FilterStack.describeElem);
+    }
+
+    // Like empty, but doesn't trigger a change event.  To be used by
+    // Setup so that it can empty both stacks and then trigger a
+    // change itself.
+    // TODO: instead, Setup should handle the change event and stop it
+    //   from being propagated..
+    _empty() {
+        this._stack = [];
+        this._resetTransmission();
+    }
+
+    empty() {
+        if (this.length === 0)
+            // Already empty.  Do nothing and avoid a change event.
+            return;
+
+        this._empty();
+        this.trigger('change');
+    }
+
+    getElem(i) {
+        return this._stack[i];
+    }
+
+    toggleElemMode(i) {
+        const old_mode = this._stack[i].mode;
+        this._stack[i].mode = old_mode === 'r' ? 't' : 'r';
+        this._resetTransmission();
+        this.trigger('change');
+        return old_mode;
+    }
+
+    setElemMode(i, mode) {
+        const old_mode = this._stack[i].mode;
+        if (old_mode !== mode) {
+            this._stack[i].mode = mode;
+            this._stack_i = i;
+            this._resetCache();
+            this.trigger('change');
+        }
+        return old_mode;
+    }
+
+    // Set the angle of incidence of an element.
+    //
+    // Args:
+    //     i (Integer): index of the element.
+    //     angle (float|undefined): angle of incidence in degrees.
+    //         If undefined, the filter design angle is used.
+    //     n_eff (float|undefined): effective refractive index.  If
+    //         undefined, the filter effective index is used.
+    setElemAngle(i, angle, n_eff) {
+        const old_elem = this._stack[i];
+        if (old_elem.angle === angle && old_elem.n_eff === n_eff)
+            return;
+        // A new element instead of changing the old one in place,
+        // since clones of this FilterStack share their elements.
+        const elem = {filter: old_elem.filter, mode: old_elem.mode};
+        if (angle !== undefined)
+            elem.angle = angle;
+        if (n_eff !== undefined)
+            elem.n_eff = n_eff;
+        this._stack[i] = elem;
+        this._resetTransmission();
+        this.trigger('change');
+    }
+
+    // Replace the filter of an element, e.g., with a spectral
+    // selection with other bands.
+    setElemFilter(i, filter) {
+        this._stack[i] = this._shareSampling([
+            Object.assign({}, this._stack[i], {filter: filter})
+        ])[0];
+        this._resetTransmission();
+        this.trigger('change');
+    }
+
+    removeElem(i) {
+        const removed = this._stack[i];
+        if (removed !== undefined) {
+            const old_stack = this._stack;
+            this._stack = old_stack.slice(0, i).concat(old_stack.slice(i+1));
+            this._resetTransmission();
+            this.trigger('change');
+            // would be nice if we could remove the tick for the spectral selection filter.
+            //if (removed.filter.uid === 'spectral-selection') {
+            //    removed.disable()
+            //}
+        }
+        return removed;
+    }
+
+    clone() {
+        return new FilterStack(this._stack.slice(0), this.sampling);
+    }
+
+    // Whether this instance describes the same FilterStack as other.
+    //
+    // Args:
+    //     other(Array filter description)
+    isEqual(other) {
+        if (this.length !== other.length)
+            return false;
+
+        // Spectral selections are only equal if their bands are, so
+        // compare the descriptions.  Older descriptions of spectral
+        // selections are not in the same form, and never equal.
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        for (let i = 0; i < this.length; i++) {
+            const mine = FilterStack.describeElem(this._stack[i]);
+            for (let key of ['filter', 'mode', 'angle', 'n_eff', 'bands',
+                             'design'])
+                if (! same(mine[key], other[i][key]))
+                    return false;
+        }
+
+        return true;
+    }
+
+    map(callback) {
+        return this._stack.map(callback);
+    }
+
+    push() {
+        const count = this._stack.push(...this._shareSampling(arguments));
+        // If data outside the range of a filter is not zero, the new
+        // filters may extend the range of the transmission spectrum
+        // so we need to compute it from scratch.
+        if (this.sampling.extrapolation !== 'zero')
+            this._resetTransmission();
+        else
+            this._resetCache();
+        this.trigger('change');
+        return count;
     }
+
     [Symbol.iterator]() {
-        throw new Error('not a useful method for lazy loading');
+        return this._stack[Symbol.iterator]();
     }
 }
+mixin(FilterStack, ValidationMixin);
+mixin(FilterStack, EventPubMixin);
 
-
-// Base class for our views.
-//
-// Provides some pass-through methods to the jQuery element it
-// controls.
+// Like a Setup object but with Data instances (Detector, Dye, Excitation,
+// and Filter) replaced with their names/uids, and FilterStack replaced with
+// an Array.  This lets us to have a representation of them without
+// parsing all the filters, excitation, and dyes files.  Also much
+// easier to save them.
 //
-// Args:
-//     $el: jQuery instance with one element
-class View
+// See also the Setup class.
+class SetupDescription
 {
-    constructor($el) {
-        this.$el = $el;
+    constructor(detector, dye, excitation, ex_path, em_path, objective=null,
+                background=null, dye_state=null, sampling=null) {
+        this.detector = detector; // String or null
+        this.dye = dye; // String or null
+        this.excitation = excitation; // String or null
+        // Arrays of {filter: String, mode: 'r'|'t'} with optional
+        // 'angle' and 'n_eff' for angle of incidence.  Spectral
+        // selections have the 'spectral' filter and their 'bands'.
+        // Designed filters also have their 'design', see
+        // FilterDesign.describe.
+        this.ex_path = ex_path;
+        this.em_path = em_path;
+        // String or null.  Older setups have no objective,
+        // background, nor dye state, so they are optional and may be
+        // undefined on setups read from files.
+        this.objective = objective;
+        this.background = background;
+        this.dye_state = dye_state; // for dyes with multiple states
+        // Object with the Sampling properties, see Sampling.toJSON.
+        // Null, or undefined on older setups, for the default.
+        this.sampling = sampling;
+    }
+
+    validate() {
+        for (let name of ['detector', 'dye', 'excitation', 'objective',
+                          'background', 'dye_state'])
+            if (typeof(this[name]) !== 'string'
+                && ! (this[name] instanceof String)
+                && this[name] !== null
+                && ! (SetupDescription.optional.includes(name)
+                      && this[name] === undefined))
+                return `${ name } must be a String or null`;
+
+        for (let path_name of ['ex_path', 'em_path']) {
+            const path = this[path_name];
+            if (! (path instanceof Array))
+                return `${ path_name } must be an Array`;
+
+            for (let x of path) {
+                if (typeof(x.filter) !== 'string' && ! (x.filter instanceof String))
+                    return `values of ${ path_name } must have 'filter'`;
+                if (x.mode !== 'r' && x.mode !== 't')
+                    return `mode of '${ x.filter }' must be r or t`;
+                for (let key of ['angle', 'n_eff'])
+                    if (x[key] !== undefined && typeof(x[key]) !== 'number')
+                        return `${ key } of '${ x.filter }' must be a number`;
+                
+                // Spectral selections must have bands, or min and max
+                // in older descriptions.
+                if (x.filter === 'spectral') {
+                    if (x.bands !== undefined && ! Array.isArray(x.bands))
+                        return `spectral filter 'bands' must be an Array`;
+                    const filter = SpectralSelectionFilter.fromDescription(x);
+                    if (! filter.isValid())
+                        return filter.validation_error;
+                }
+
+                if (x.design !== undefined) {
+                    if (typeof(x.design) !== 'object' || x.design === null)
+                        return `design of '${ x.filter }' must be an Object`;
+                    const design = FilterDesign.fromDescription(x.design);
+                    if (! design.isValid())
+                        return design.validation_error;
+                }
+            }
+        }
+
+        if (this.sampling !== null && this.sampling !== undefined) {
+            if (typeof(this.sampling) !== 'object')
+                return 'sampling must be an Object';
+            const sampling = new Sampling(this.sampling);
+            if (! sampling.isValid())
+                return sampling.validation_error;
+        }
+    }
+
+    // Whether this instance describes the same Setup as other.
+    //
+    // Args:
+    //     other(Setup|SetupDescription)
+    isEqual(other) {
+        if (other instanceof Setup)
+            other = other.describe();
+
+        // Missing objective is the same as no objective, and the
+        // same for the other optional components.
+        const get = (x, name) => x[name] === undefined ? null : x[name];
+
+        if (this.detector !== other.detector
+            || this.dye !== other.dye
+            || this.excitation !== other.excitation
+            || SetupDescription.optional.some(x => get(this, x) !== get(other, x))
+            || (JSON.stringify(get(this, 'sampling'))
+                !== JSON.stringify(get(other, 'sampling')))
+            || (! this.ex_path.isEqual(other.ex_path))
+            || (! this.em_path.isEqual(other.em_path)))
+            return false;
+
+        return true;
+    }
+
+    toJSON(key) {
+        // TODO: I can't really make sense of JSON.stringify
+        //     documentation.  When called on the object being
+        //     serialised, then 'key' will be an empty string.  I
+        //     don't quite understand the other cases...
+
+        const obj = {
+            detector: this.detector,
+            dye: this.dye,
+            excitation: this.excitation,
+            ex_path: this.ex_path,
+            em_path: this.em_path,
+            objective: this.objective === undefined ? null : this.objective,
+            background: this.background === undefined ? null : this.background,
+            dye_state: this.dye_state === undefined ? null : this.dye_state,
+            sampling: this.sampling === undefined ? null : this.sampling,
+        };
+        return obj;
+    }
+
+    // Construct from an Object parsed from JSON, e.g., from toJSON.
+    // Throws if the description is not valid.
+    static
+    fromJSON(json) {
+        const setup = new SetupDescription(
+            json.detector, json.dye, json.excitation, json.ex_path,
+            json.em_path, json.objective, json.background, json.dye_state,
+            json.sampling
+        );
+        if (! setup.isValid())
+            throw new Error(setup.validation_error);
+        return setup;
     }
+}
+mixin(SetupDescription, ValidationMixin);
+
+// Components which were added later, and so may be missing on older
+// setups.
+SetupDescription.optional = ['objective', 'background', 'dye_state'];
+
+// What the brightness of a Setup is reported against.
+//
+// Args:
+//     dye (Dye|null): the reference dye.  If null, Alexa-488, or
+//         fluorescein with two-photon excitation, from the
+//         Dye.Alexa488_brightness and Dye.Fluorescein_2P_brightness
+//         values.
+//     mode (String): 'isolation' to compare with the reference dye
+//         at 100% excitation and collection, or 'setup' to compare
+//         with the reference dye on the same Setup.  There is only
+//         isolation mode without a reference dye.
+//     units (String): 'relative' for a percentage of the reference
+//         brightness, or 'absolute' for the extinction coefficient
+//         times the quantum yield, in M⁻¹cm⁻¹, or the two-photon
+//         action cross section, in GM, scaled by the efficiency of
+//         the Setup.  Absolute units ignore the reference.
+//
+// Like Sampling, this is meant to be immutable.  To change the
+// reference of a Setup, set a new BrightnessReference instance.
+class BrightnessReference
+{
+    constructor({dye=null, mode='isolation', units='relative'} = {}) {
+        this.dye = dye;
+        this.mode = mode;
+        this.units = units;
+    }
+
+    validate() {
+        if (this.dye !== null && ! (this.dye instanceof Dye))
+            return 'brightness reference dye must be a Dye or null';
+        if (! ['isolation', 'setup'].includes(this.mode))
+            return 'brightness reference mode must be isolation or setup';
+        if (this.mode === 'setup' && this.dye === null)
+            return 'brightness reference in setup mode requires a dye';
+        if (! ['relative', 'absolute'].includes(this.units))
+            return 'brightness units must be relative or absolute';
+    }
+
+    // Name of the reference, e.g., 'Alexa-488' or 'GFP in setup'.
+    get
+    name() {
+        if (this.dye === null)
+            return 'Alexa-488';
+        const dye_name = (this.dye.state === null
+                          ? this.dye.uid : `${ this.dye.uid } [${ this.dye.state }]`);
+        return this.mode === 'setup' ? `${ dye_name } in setup` : dye_name;
+    }
+
+    // Absolute brightness of the reference, in the units of
+    // Setup.absolute_brightness.  NaN if the reference dye is missing
+    // the required constants.
+    brightnessOn(setup) {
+        if (this.mode === 'setup') {
+            const clone = setup.clone();
+            clone.dye = this.dye;
+            return clone.absolute_brightness;
+        }
+
+        if (setup.two_photon) {
+            if (this.dye === null)
+                return Dye.Fluorescein_2P_brightness;
+            return this.dye.two_photon === null ? NaN : this.dye.two_photon_peak;
+        }
+        if (this.dye === null)
+            return Dye.Alexa488_brightness;
+        if (this.dye.q_yield === null || this.dye.ex_coeff === null)
+            return NaN;
+        return this.dye.q_yield * this.dye.ex_coeff;
+    }
+
+    // Units for the brightness of a Setup, e.g., for table headers.
+    unitsOn(setup) {
+        if (this.units === 'relative')
+            return `% of ${ this.name }`;
+        return setup.two_photon ? 'GM' : 'M⁻¹cm⁻¹';
+    }
+
+    // Brightness value of a Setup as a String, without units.
+    formatValue(value, setup) {
+        if (this.units === 'relative')
+            return value.toFixed(1);
+        return value.toFixed(setup.two_photon ? 2 : 0);
+    }
+
+    // Brightness value of a Setup as a String with its units.
+    format(value, setup) {
+        const separator = this.units === 'relative' ? '' : ' ';
+        return this.formatValue(value, setup) + separator + this.unitsOn(setup);
+    }
+
+    // The dye is replaced by its uid and state, which is all that
+    // is needed to send it to a BatchRunner job.
+    toJSON(key) {
+        return {
+            dye: this.dye === null ? null : this.dye.uid,
+            dye_state: this.dye === null ? null : this.dye.state,
+            mode: this.mode,
+            units: this.units,
+        };
+    }
+
+    // Promise of a new BrightnessReference from its JSON.
+    //
+    // Args:
+    //     json (Object): as returned by toJSON.
+    //     dyes (DataCollection<Dye>): where to get the reference dye.
+    static
+    fromJSON(json, dyes) {
+        let dye = json.dye === null ? Promise.resolve(null) : dyes.get(json.dye);
+        if (json.dye_state !== null && json.dye_state !== undefined)
+            dye = dye.then(dye => dye.inState(json.dye_state));
+        return dye.then(dye => new BrightnessReference({
+            dye: dye,
+            mode: json.mode,
+            units: json.units,
+        }));
+    }
+}
+mixin(BrightnessReference, ValidationMixin);
+
+
+// Handles the computation of the Setup efficiency, transmission, etc.
+//
+// It triggers change events for the detector, dye, excitation,
+// objective, background, ex_path, and em_path.  This is the model
+// for what will eventually get displayed.  All user interactions get
+// modelled into changes to an Setup instance.
+//
+// There is also an SetupDescription which does not have the actual
+// Detector, Dye, Excitation, and Filter objects, instead it replaces
+// them with their uids.
+class Setup
+{
+    constructor() {
+        this._events = {}; // for the EventPubMixin
+
+        // The filters are an array of Objects with filter and
+        // mode keys.  We can't use a Map and the filter as key
+        // because we may have the same filter multiple times.
+        // 'filter' value is a Filter object. 'mode' value is a
+        // char with value of 'r' or 't'.
+        this._ex_path = new FilterStack;
+        this._em_path = new FilterStack;
+
+        this.ex_path.on('change', this.trigger.bind(this, 'change'));
+        this.em_path.on('change', this.trigger.bind(this, 'change'));
+
+        this._sampling = Sampling.global;
+        this._brightness_reference = new BrightnessReference;
+    }
+
+    // Sampling policy used for both excitation and emission paths.
+    get
+    sampling() {
+        return this._sampling;
+    }
+
+    set
+    sampling(val) {
+        if (! (val instanceof Sampling))
+            throw new Error('sampling must be a Sampling instance');
+        if (! val.isValid())
+            throw new Error(val.validation_error);
+        this._sampling = val;
+        this.ex_path._setSampling(val);
+        this.em_path._setSampling(val);
+        this.trigger('change');
+    }
+
+    // What the brightness is reported against, see
+    // BrightnessReference.
+    get
+    brightness_reference() {
+        return this._brightness_reference;
+    }
+
+    set
+    brightness_reference(val) {
+        if (! (val instanceof BrightnessReference))
+            throw new Error('brightness reference must be a BrightnessReference instance');
+        if (! val.isValid())
+            throw new Error(val.validation_error);
+        this._brightness_reference = val;
+        this.trigger('change');
+    }
+
+    // Spectrum scaled by the transmission of the objective, if any.
+    _throughObjective(spectrum) {
+        if (this.objective === null)
+            return spectrum;
+        const transmission = this.objective.transmission.resample(spectrum.wavelength);
+        return spectrum.multiply(transmission);
+    }
+
+    // Excitation scaled by the excitation path and objective.
+    get
+    ex_transmission() {
+        if (this.excitation === null)
+            return null;
+        else if (this.ex_path.length === 0)
+            return this._throughObjective(this.excitation.intensity);
+        else
+            return this._throughObjective(
+                this.ex_path.transmissionOf(this.excitation.intensity)
+            );
+    }
+
+    // Dye emission, scaled by objective, emission path, and detector.
+    get
+    em_transmission() {
+        if (this.dye === null)
+            return null;
+        return this._emTransmissionOf(this.dye.emission);
+    }
+
+    // Background emission, scaled like the dye emission.
+    get
+    bg_transmission() {
+        if (this.background === null)
+            return null;
+        return this._emTransmissionOf(this.background.emission);
+    }
+
+    _emTransmissionOf(emission) {
+        let transmission = this._throughObjective(emission);
+        if (this.em_path.length !== 0)
+            transmission = this.em_path.transmissionOf(transmission);
+
+        if (this.detector !== null) {
+            const qe = this.detector.qe.resample(transmission.wavelength);
+            transmission = transmission.multiply(qe);
+        }
+        return transmission;
+    }
+
+    // Whether the dye is excited by two-photon absorption, which is
+    // the case for pulsed excitation sources.
+    get
+    two_photon() {
+        return this.excitation !== null && this.excitation.is_pulsed;
+    }
+
+    // Efficiency of the dye excitation, not of the excitation path.
+    //
+    // With two-photon excitation, absorption scales with the square
+    // of the intensity so both the source and the excitation path
+    // transmission are squared.  NaN if the dye has no two-photon
+    // spectrum.
+    get
+    ex_efficiency() {
+        if (this.two_photon)
+            return this._twoPhotonEfficiency();
+        return this._exEfficiencyOf(this.dye.absorption);
+    }
+
+    _exEfficiencyOf(absorption) {
+        const source = this.excitation.intensity;
+
+        const source_in_path = this._throughObjective(
+            this.ex_path.transmissionOf(source)
+        );
+        const dye_ex_in_path = source_in_path.multiply(
+            absorption.resample(source_in_path.wavelength)
+        );
+
+        return dye_ex_in_path.area / source.area;
+    }
+
+    _twoPhotonEfficiency() {
+        if (this.dye.two_photon === null)
+            return NaN;
+        const source = this.excitation.intensity;
+        const source_in_path = this.ex_transmission;
+        const dye_ex_in_path = source_in_path.multiply(source_in_path).multiply(
+            this.dye.two_photon_relative.resample(source_in_path.wavelength)
+        );
+        return dye_ex_in_path.area / source.multiply(source).area;
+    }
+
+    get
+    em_efficiency() {
+        return this.em_transmission.area / this.dye.emission.area;
+    }
+
+    // Fraction of the excitation source power that reaches the
+    // sample, through the excitation path and objective.
+    get
+    ex_path_transmission() {
+        return this.ex_transmission.area / this.excitation.intensity.area;
+    }
+
+    // Output power, in mW, and spot size, in µm, of the excitation.
+    // Those set on the Setup, e.g., by the user, take precedence
+    // over those of the Excitation.  Null if neither has them.
+    get
+    source_power() {
+        if (this.power !== null)
+            return this.power;
+        return this.excitation === null ? null : this.excitation.power;
+    }
+
+    get
+    source_spot_size() {
+        if (this.spot_size !== null)
+            return this.spot_size;
+        return this.excitation === null ? null : this.excitation.spot_size;
+    }
+
+    // Power of the excitation at the sample, in mW.  Null if there
+    // is no excitation power.
+    get
+    power_at_sample() {
+        const power = this.source_power;
+        if (this.excitation === null || power === null)
+            return null;
+        return power * this.ex_path_transmission;
+    }
+
+    // Area of the excitation spot, in µm², see Excitation.spotArea.
+    // Null if there is no spot size.
+    get
+    spot_area() {
+        return Excitation.spotArea(this.source_spot_size);
+    }
+
+    // Photons absorbed per second by one molecule of the dye, at the
+    // centre of the excitation spot, with the excitation power and
+    // spot size.  NaN if there is no power or spot size.
+    get
+    excitation_rate() {
+        const power = this.power_at_sample;
+        if (power === null || this.spot_area === null)
+            return NaN;
+        return this.excitationRate(power, this.spot_area);
+    }
+
+    // Fraction of saturation of the dye at an excitation rate, i.e.,
+    // the fraction of time it is in the excited state, k τ / (1 + k
+    // τ) with τ the lifetime.  Doubling the excitation only doubles
+    // the signal well below saturation.  NaN if the dye has no
+    // lifetime.
+    saturationAt(rate) {
+        if (this.dye.lifetime === null)
+            return NaN;
+        const k_tau = rate * this.dye.lifetime * 1e-9;
+        return k_tau / (1.0 + k_tau);
+    }
+
+    // Fraction of saturation with the excitation power and spot size.
+    get
+    saturation() {
+        return this.saturationAt(this.excitation_rate);
+    }
+
+    // Efficiency of the excitation at switching the dye out of its
+    // current state, e.g., photoconversion with 405 nm light.  NaN if
+    // the dye state has no activation spectrum.
+    get
+    activation_efficiency() {
+        if (this.dye.activation === null || this.two_photon)
+            return NaN;
+        return this._exEfficiencyOf(this.dye.activation);
+    }
+
+    // Brightness of the background, in the same units as
+    // absolute_brightness.  There is no two-photon data for
+    // backgrounds so this is NaN with two-photon excitation.
+    get
+    bg_brightness() {
+        if (this.background === null || this.excitation === null)
+            throw new Error('no background or excitation to compute brightness');
+        if (this.two_photon || this.background.strength === null)
+            return NaN;
+
+        const ex_efficiency = this._exEfficiencyOf(this.background.absorption);
+        const em_efficiency = (this.bg_transmission.area
+                               / this.background.emission.area);
+        return (ex_efficiency * em_efficiency * this.background.strength
+                * Dye.Alexa488_brightness);
+    }
+
+    // Signal to background ratio.  NaN if there is no background, or
+    // if either brightness is unknown.
+    get
+    sbr() {
+        if (this.background === null || this.dye === null
+            || this.excitation === null)
+            return NaN;
+        return this.absolute_brightness / this.bg_brightness;
+    }
+
+    // Photons absorbed per second by one molecule of the dye.
+    //
+    // Args:
+    //     power (float): power of the excitation at the sample, i.e.,
+    //         after the excitation path, in mW.
+    //     area (float): illuminated area, in µm².
+    //
+    // Returns:
+    //     NaN if the dye has no extinction coefficient or, for
+    //     two-photon excitation, no two-photon spectrum or quantum
+    //     yield.
+    excitationRate(power, area) {
+        if (this.dye === null || this.excitation === null)
+            throw new Error('no dye or excitation to compute excitation rate');
+        if (this.two_photon)
+            return this._twoPhotonExcitationRate(power, area);
+        if (this.dye.ex_coeff === null)
+            return NaN;
+
+        // The number of photons per unit of power is λ/hc, so the
+        // rate is the irradiance times the peak cross section times
+        // the mean, weighted by the source power, of absorption·λ/hc.
+        const source = this.ex_transmission;
+        const absorption = this.dye.absorption.resample(source.wavelength);
+        const absorbed = source.multiply(absorption).multiply(
+            new Spectrum(source.wavelength, source.wavelength)
+        );
+        const mean_absorbed = 1e-9 * absorbed.area / source.area; // m
+        const hc = 6.62607015e-34 * 299792458; // J m
+
+        const irradiance = (power * 1e-3) / (area * 1e-8); // W/cm²
+        const cross_section = Dye.cross_section_factor * this.dye.ex_coeff;
+        return irradiance * cross_section * mean_absorbed / hc;
+    }
+
+    // The time averaged two-photon excitation rate is ½ σ₂ ⟨I²⟩, and
+    // for a pulsed source ⟨I²⟩ is g ⟨I⟩² / (f τ), with f and τ its
+    // repetition rate and pulse width, and g the pulse shape factor.
+    // The photon flux I is taken at the mean wavelength of the
+    // source, and the cross section σ₂ is the dye action cross
+    // section at the source, divided by its quantum yield.
+    _twoPhotonExcitationRate(power, area) {
+        const dye = this.dye;
+        if (dye.two_photon === null || dye.q_yield === null)
+            return NaN;
+
+        const source = this.ex_transmission;
+        const squared = source.multiply(source);
+        const overlap = squared.multiply(
+            dye.two_photon_relative.resample(source.wavelength)
+        ).area / squared.area;
+        const cross_section = (1e-50 * dye.two_photon_peak * overlap
+                               / dye.q_yield); // cm⁴ s
+
+        const mean_wavelength = 1e-9 * source.multiply(
+            new Spectrum(source.wavelength, source.wavelength)
+        ).area / source.area; // m
+        const hc = 6.62607015e-34 * 299792458; // J m
+        const irradiance = (power * 1e-3) / (area * 1e-8); // W/cm²
+        const flux = irradiance * mean_wavelength / hc; // photons/cm²/s
+
+        const duty_cycle = (this.excitation.rep_rate * 1e6
+                            * this.excitation.pulse_width * 1e-15);
+        return (0.5 * cross_section * flux ** 2
+                * Excitation.pulse_shape_factor / duty_cycle);
+    }
+
+    // Describe this instance, i.e., replace the Filter, Dye, and
+    // Excitation objects with their names.
+    describe() {
+        const description = new SetupDescription(
+            this.detector ? this.detector.uid : null,
+            this.dye ? this.dye.uid : null,
+            this.excitation ? this.excitation.uid : null,
+            this.ex_path.describe(),
+            this.em_path.describe(),
+            this.objective ? this.objective.uid : null,
+            this.background ? this.background.uid : null,
+            this.dye ? this.dye.state : null,
+            this.sampling.toJSON(),
+        );
+        if (! description.isValid())
+            throw new Error(description.validation_error);
+        return description;
+    }
+
+    empty() {
+        this._detector = null;
+        this._dye = null;
+        this._excitation = null;
+        this._objective = null;
+        this._background = null;
+        this.ex_path._empty();
+        this.em_path._empty();
+        this.trigger('change');
+    }
+
+    // Extinction coefficient times quantum yield, in M⁻¹cm⁻¹, scaled
+    // by the excitation and emission efficiency.  With two-photon
+    // excitation, it's the two-photon action cross section, in GM,
+    // scaled the same way.  NaN if the dye is missing those values.
+    get
+    absolute_brightness() {
+        if (this.dye === null || this.excitation === null)
+            throw new Error('no dye or excitation to compute brightness');
+
+        if (this.two_photon) {
+            if (this.dye.two_photon === null)
+                return NaN;
+            return (this.ex_efficiency * this.dye.two_photon_peak
+                    * this.em_efficiency);
+        }
+
+        if (this.dye.q_yield === null || this.dye.ex_coeff === null)
+            return NaN;
+        return (this.ex_efficiency * this.dye.q_yield * this.dye.ex_coeff
+                * this.em_efficiency);
+    }
+
+    // Brightness in the units of the brightness reference, either
+    // absolute_brightness or a percentage of the reference
+    // brightness.
+    get
+    brightness() {
+        const bright = this.absolute_brightness;
+        const reference = this.brightness_reference;
+        if (reference.units === 'absolute')
+            return bright;
+
+        const reference_bright = reference.brightnessOn(this);
+        if (! (reference_bright > 0.0))
+            return NaN;
+        return 100.0 * bright / reference_bright;
+    }
+
+    clone() {
+        const clone = new Setup();
+        for (let p of ['detector', 'dye', 'excitation', 'objective',
+                       'background', 'ex_path', 'em_path', 'power',
+                       'spot_size'])
+            clone[p] = this[p];
+        // The paths are shared with the clone so they already have
+        // the right sampling policy.
+        clone._sampling = this._sampling;
+        clone._brightness_reference = this._brightness_reference;
+        return clone;
+    }
+
+    // Promise of a new Setup from its description.
+    //
+    // Args:
+    //     description (SetupDescription): or an Object with the same
+    //         properties, e.g., one sent to a Web Worker.
+    //     collections (Object): with 'detector', 'dye',
+    //         'excitation', 'filter', 'objective', and 'background'
+    //         DataCollection instances where to get the data from the
+    //         description uids.
+    static
+    fromDescription(description, collections) {
+        // Not has() because some data is only added to the
+        // collection when generated by get().
+        const get = function(dtype, uid) {
+            const data = collections[dtype].get(uid);
+            if (data === undefined)
+                return Promise.reject(new Error(`no ${ dtype } named '${ uid }'`));
+            return data;
+        };
+
+        const dye_state = description.dye_state;
+        const setup = new Setup;
+        // Before the paths, so that their spectral selections share it.
+        if (description.sampling !== null && description.sampling !== undefined)
+            setup.sampling = new Sampling(description.sampling);
+        const promises = [];
+        for (let dtype of ['detector', 'dye', 'excitation', 'objective',
+                           'background']) {
+            const uid = description[dtype];
+            if (uid !== null && uid !== undefined)
+                promises.push(get(dtype, uid).then(function(data) {
+                    if (dtype === 'dye' && dye_state !== null
+                        && dye_state !== undefined)
+                        data = data.inState(dye_state);
+                    setup[dtype] = data;
+                }));
+        }
+
+        for (let path_name of ['ex_path', 'em_path']) {
+            const elem_promises = description[path_name].map(function(x) {
+                if (x.filter === 'spectral')
+                    return Promise.resolve(FilterStack.elemFromDescription(
+                        x, SpectralSelectionFilter.fromDescription(x, setup.sampling)
+                    ));
+                else if (x.design !== undefined)
+                    return Promise.resolve(FilterStack.elemFromDescription(
+                        x, FilterDesign.fromDescription(x.design).toFilter()
+                    ));
+                else
+                    return get('filter', x.filter).then(
+                        (f) => FilterStack.elemFromDescription(x, f)
+                    );
+            });
+            // Push all at once to keep the order of the description.
+            promises.push(Promise.all(elem_promises).then(
+                (elems) => setup[path_name].push(...elems)
+            ));
+        }
+        return Promise.all(promises).then(() => setup);
+    }
+}
+mixin(Setup, EventPubMixin);
+
+// Adds a setter and getter for this properties, so it
+// triggers change events for all of them.  The 'power' and
+// 'spot_size' are of the excitation source, see source_power.
+for (let p_name of ['detector', 'dye', 'excitation', 'objective',
+                   'background', 'ex_path', 'em_path', 'power',
+                   'spot_size']) {
+    const attr_name = `_${ p_name }`;
+    Object.defineProperty(Setup.prototype, attr_name, {
+        value: null,
+        writable: true,
+    });
+    Object.defineProperty(Setup.prototype, p_name, {
+        get: function () {
+            return this[attr_name];
+        },
+        set: function (val) {
+            this[attr_name] = val;
+            this.trigger('change');
+        },
+    });
+}
+
+
+// A multi-label experiment, several dyes imaged on several channels.
+//
+// Each channel is a Setup, and its dye is the dye that the channel
+// is for, if any.  The signal of a dye on a channel is computed by a
+// clone of the channel Setup with that dye, so it is the same as
+// what is displayed when selecting that dye and setup.
+//
+// Args:
+//     dyes (Array<Dye>):
+//     channels (Array<Setup>):
+class Experiment
+{
+    constructor(dyes=[], channels=[]) {
+        this.dyes = dyes;
+        this.channels = channels;
+    }
+
+    validate() {
+        if (this.dyes.length === 0)
+            return 'experiment must have at least one dye';
+        if (this.channels.length === 0)
+            return 'experiment must have at least one channel';
+        for (let i = 0; i < this.channels.length; i++)
+            if (this.channels[i].excitation === null)
+                return `channel ${ i+1 } has no excitation`;
+    }
+
+    // Signal of all dyes on all channels.
+    //
+    // Returns:
+    //     Object with 'efficiency' and 'brightness', both N×M Arrays
+    //     (dyes by channels).  The efficiency is the product of the
+    //     Setup ex_efficiency and em_efficiency.  The brightness is
+    //     the Setup brightness, which also accounts for the dye
+    //     extinction coefficient and quantum yield, so it is NaN for
+    //     dyes missing those values.
+    signal() {
+        if (! this.isValid())
+            throw new Error(this.validation_error);
+
+        const efficiency = this.dyes.map(() => []);
+        const brightness = this.dyes.map(() => []);
+        for (let channel of this.channels) {
+            const setup = channel.clone();
+            for (let i = 0; i < this.dyes.length; i++) {
+                setup.dye = this.dyes[i];
+                efficiency[i].push(setup.ex_efficiency * setup.em_efficiency);
+                brightness[i].push(setup.brightness);
+            }
+        }
+        return {efficiency: efficiency, brightness: brightness};
+    }
+
+    // Own channels of each dye, the channels whose Setup has that
+    // dye.
+    //
+    // Returns:
+    //     Array<Array<Integer>> with the indices of the own channels
+    //     of each dye, empty for dyes without a channel.
+    ownChannels() {
+        const own_channels = this.dyes.map(() => []);
+        for (let j = 0; j < this.channels.length; j++) {
+            const dye = this.channels[j].dye;
+            if (dye === null)
+                continue;
+            for (let i = 0; i < this.dyes.length; i++)
+                if (this.dyes[i].uid === dye.uid)
+                    own_channels[i].push(j);
+        }
+        return own_channels;
+    }
+
+    // Bleed-through of each dye into each channel, in percentage of
+    // its signal on its own channel.  If a dye has more than one own
+    // channel, the one where it gives the most signal is used.  It
+    // is NaN for dyes without an own channel.
+    //
+    // Args:
+    //     signal (Array<Array<float>>): N×M Array (dyes by channels)
+    //         of the signal of each dye.  The efficiency from
+    //         signal() is fine since the dye brightness cancels out.
+    //     own_channels (Array<Array<Integer>>): the own channels of
+    //         each dye, see ownChannels().
+    static
+    bleedThrough(signal, own_channels) {
+        return signal.map(function(row, i) {
+            const own = Math.max(...own_channels[i].map(j => row[j]));
+            return row.map(x => own > 0.0 ? 100.0 * (x / own) : NaN);
+        });
+    }
+}
+mixin(Experiment, ValidationMixin);
+
+
+// Feasibility of linear unmixing the signal of multiple dyes.
+//
+// The mixing matrix has the signal of each dye on each channel.  Its
+// columns, one per dye, are normalised so that the results depend
+// only on how different the dyes are across the channels, and not on
+// how bright they are.
+//
+// Args:
+//     signal (Array<Array<float>>): N×M Array (dyes by channels) of
+//         the signal of each dye, such as the efficiency from
+//         Experiment.signal().  This is the transpose of the mixing
+//         matrix.
+class Unmixing
+{
+    constructor(signal) {
+        this.n_dyes = signal.length;
+        this.n_channels = this.n_dyes ? signal[0].length : 0;
+
+        // Keep it by dye, i.e., columns of the mixing matrix.
+        this._columns = signal.map(function(row) {
+            const norm = Math.sqrt(row.reduce((acc, x) => acc + x*x, 0.0));
+            return row.map(x => norm > 0.0 ? x / norm : 0.0);
+        });
+
+        // Eigen decomposition of the Gram matrix AᵀA, whose
+        // eigenvalues are the square of the singular values of A.
+        const gram = this._columns.map(
+            a => this._columns.map(b => Unmixing.dot(a, b))
+        );
+        const eig = Unmixing.symmetricEigen(gram);
+        this._values = eig.values;
+        this._vectors = eig.vectors;
+    }
+
+    // Whether the Gram matrix eigenvalue is zero, to numeric
+    // precision, in which case the dyes can't be unmixed.
+    _isZero(value) {
+        const max = Math.max(...this._values);
+        return ! (value > max * Unmixing.tolerance);
+    }
+
+    // Ratio of the largest to the smallest singular value of the
+    // mixing matrix.  Infinity if there are fewer channels than
+    // dyes, or if the signal of a dye is a combination of the others.
+    get
+    condition_number() {
+        if (this.n_channels < this.n_dyes)
+            return Infinity;
+        const min = Math.min(...this._values);
+        if (this._isZero(min))
+            return Infinity;
+        return Math.sqrt(Math.max(...this._values) / min);
+    }
+
+    // Noise amplification for each dye after least squares unmixing.
+    //
+    // This is the standard deviation of the unmixed dye signal,
+    // relative to that with no other dyes on the channels, for the
+    // same noise in all channels.  A value of 1 means no penalty.
+    get
+    noise_amplification() {
+        const amplification = [];
+        for (let i = 0; i < this.n_dyes; i++) {
+            // Diagonal of the inverse of AᵀA = V diag(1/λ) Vᵀ
+            let variance = 0.0;
+            for (let k = 0; k < this.n_dyes; k++) {
+                const v = this._vectors[i][k];
+                if (v === 0.0)
+                    continue;
+                if (this._isZero(this._values[k])) {
+                    variance = Infinity;
+                    break;
+                }
+                variance += v * v / this._values[k];
+            }
+            amplification.push(Math.sqrt(variance));
+        }
+        return amplification;
+    }
+
+    // Cosine similarity between the signal of two dyes across the
+    // channels.  1 if they are indistinguishable.
+    similarity(i, k) {
+        return Unmixing.dot(this._columns[i], this._columns[k]);
+    }
+
+    // Pairs of dyes whose similarity is at least threshold.
+    //
+    // Returns:
+    //     Array of [i, k, similarity] with the indices of the dyes.
+    inseparablePairs(threshold=Unmixing.similarity_threshold) {
+        const pairs = [];
+        for (let i = 0; i < this.n_dyes; i++)
+            for (let k = i+1; k < this.n_dyes; k++) {
+                const similarity = this.similarity(i, k);
+                if (similarity >= threshold)
+                    pairs.push([i, k, similarity]);
+            }
+        return pairs;
+    }
+
+    static
+    dot(a, b) {
+        let acc = 0.0;
+        for (let i = 0; i < a.length; i++)
+            acc += a[i] * b[i];
+        return acc;
+    }
+
+    // Eigenvalues and eigenvectors of a symmetric matrix, computed
+    // with the cyclic Jacobi method.  Fine for the small matrices we
+    // have, one row per dye.
+    //
+    // Returns:
+    //     Object with 'values', an Array, and 'vectors', an Array of
+    //     Array where the eigenvectors are the columns.
+    static
+    symmetricEigen(matrix) {
+        const n = matrix.length;
+        const a = matrix.map(row => row.slice());
+        const v = matrix.map((row, i) => row.map((x, j) => i === j ? 1.0 : 0.0));
+
+        for (let sweep = 0; sweep < 100; sweep++) {
+            let off = 0.0;
+            for (let p = 0; p < n; p++)
+                for (let q = p+1; q < n; q++)
+                    off += a[p][q] * a[p][q];
+            if (off < 1e-30)
+                break;
+
+            for (let p = 0; p < n; p++) {
+                for (let q = p+1; q < n; q++) {
+                    if (a[p][q] === 0.0)
+                        continue;
+                    const theta = (a[q][q] - a[p][p]) / (2.0 * a[p][q]);
+                    const t = (Math.sign(theta) || 1.0) / (Math.abs(theta)
+                                                           + Math.sqrt(theta*theta + 1.0));
+                    const c = 1.0 / Math.sqrt(t*t + 1.0);
+                    const s = t * c;
+                    for (let k = 0; k < n; k++) {
+                        const akp = a[k][p];
+                        const akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = a[p][k];
+                        const aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = v[k][p];
+                        const vkq = v[k][q];
+                        v[k][p] = c * vkp - s * vkq;
+                        v[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+        return {values: a.map((row, i) => row[i]), vectors: v};
+    }
+}
+// Relative to the largest eigenvalue of AᵀA, below which we consider
+// it zero.  Equivalent to a condition number of 1e6.
+Unmixing.tolerance = 1e-12;
+// Cosine similarity from which two dyes are considered inseparable.
+Unmixing.similarity_threshold = 0.95;
+
+
+// Absolute number of photons detected from a dye on a Setup, and the
+// signal to noise ratio (SNR) of an image.
+//
+// The photons emitted by a molecule are its excitation rate times
+// its quantum yield, and times the fraction of time it is not in the
+// excited state if the dye has a lifetime.  The fraction collected
+// by the objective is the solid angle of its NA, for isotropic
+// emission, and that fraction is then scaled by the emission
+// efficiency of the Setup, which includes the detector QE if there
+// is a detector.  So the photons "detected" are photoelectrons.
+//
+// Args:
+//     setup (Setup): must have a dye and an excitation.
+//     options (Object): with keys:
+//         power (float|null): excitation power at the sample, in
+//             mW.
+//         area (float|null): illuminated area, in µm².
+//         exposure (float): exposure time, in ms.
+//         na (float|null): numerical aperture of the objective.
+//         immersion_index (float|null): refractive index of the
+//             objective immersion medium.
+//         molecules (float|null): number of molecules per pixel.
+//         concentration (float|null): dye concentration, in nM.
+//             Only used if molecules is null.
+//         pixel_size (float|null): size of a pixel at the sample, in
+//             µm.
+//         read_noise (float|null): detector read noise, in e⁻ rms.
+//             If null, the noise model of the Setup detector is
+//             used, see Detector.noise.  If there is no detector, it
+//             is an ideal detector with no read noise.
+//
+// If null, the power and area are taken from the Setup excitation
+// power and spot size, the NA and immersion index from the Setup
+// objective, and the pixel size from the Setup detector and the
+// objective magnification.
+//
+// For a concentration, the volume imaged on each pixel is its area
+// at the sample times the depth of field, approximated as n λ / NA²
+// with λ the emission peak.  Note that all the photons of a molecule
+// are counted on its pixel, there is no point spread function.
+class PhotonBudget
+{
+    constructor(setup, {power=null, area=null, exposure=100.0, na=null,
+                        immersion_index=null, molecules=1, concentration=null,
+                        pixel_size=null, read_noise=null} = {}) {
+        this.setup = setup;
+        this.power = power;
+        this.area = area;
+        this.exposure = exposure;
+        this.na = na;
+        this.immersion_index = immersion_index;
+        this.molecules = molecules;
+        this.concentration = concentration;
+        this.pixel_size = pixel_size;
+        this.read_noise = read_noise;
+    }
+
+    validate() {
+        if (this.setup.dye === null || this.setup.excitation === null)
+            return 'setup must have a dye and an excitation';
+        if (! (this.exposure > 0.0))
+            return 'exposure must be a positive number';
+        for (let name of ['power', 'area', 'na', 'immersion_index', 'pixel_size'])
+            if (! (this.option(name) > 0.0))
+                return (`${ name } must be a positive number, or be`
+                        + ' defined by the setup');
+        if (! (this.read_noise >= 0.0) && this.read_noise !== null)
+            return 'read_noise must be a non-negative number or null';
+        if (this.option('na') > this.option('immersion_index'))
+            return 'NA can not be larger than the immersion index';
+        if (this.molecules === null) {
+            if (! (this.concentration >= 0.0))
+                return 'concentration must be a non-negative number';
+        } else if (! (this.molecules >= 0.0))
+            return 'molecules must be a non-negative number';
+    }
+
+    // Value of the power, area, na, immersion_index, or pixel_size
+    // options, or if null, the value from the setup excitation,
+    // objective, and detector.  Null if neither is defined.
+    option(name) {
+        if (this[name] !== null)
+            return this[name];
+
+        if (name === 'power')
+            return this.setup.power_at_sample;
+        else if (name === 'area')
+            return this.setup.spot_area;
+
+        const objective = this.setup.objective;
+        if (objective === null)
+            return null;
+        else if (name === 'pixel_size') {
+            const detector = this.setup.detector;
+            if (detector === null || detector.pixel_size === null
+                || objective.magnification === null)
+                return null;
+            return detector.pixel_size / objective.magnification;
+        } else
+            return objective[name];
+    }
+
+    // Fraction of the photons emitted isotropically that are
+    // collected by the objective.
+    get
+    collection_efficiency() {
+        const sin_theta = this.option('na') / this.option('immersion_index');
+        const cos_theta = Math.sqrt(1.0 - sin_theta ** 2);
+        return (1.0 - cos_theta) / 2.0;
+    }
+
+    // Photons absorbed per second per molecule.
+    get
+    excitation_rate() {
+        return this.setup.excitationRate(this.option('power'),
+                                         this.option('area'));
+    }
+
+    // Fraction of saturation, see Setup.saturationAt.  NaN if the dye
+    // has no lifetime.
+    get
+    saturation() {
+        return this.setup.saturationAt(this.excitation_rate);
+    }
+
+    // Photons detected per second per molecule.  NaN if the dye is
+    // missing its extinction coefficient or quantum yield.
+    get
+    photon_rate() {
+        const q_yield = this.setup.dye.q_yield;
+        if (q_yield === null)
+            return NaN;
+        // Without a lifetime, assume it's well below saturation.
+        const saturation = this.saturation;
+        const excited = (this.excitation_rate
+                         * (isNaN(saturation) ? 1.0 : 1.0 - saturation));
+        return (excited * q_yield * this.collection_efficiency
+                * this.setup.em_efficiency);
+    }
+
+    get
+    molecules_per_pixel() {
+        if (this.molecules !== null)
+            return this.molecules;
+        const wavelength = this.setup.dye.emission.peak_wavelength * 1e-3; // µm
+        const na = this.option('na');
+        const depth = this.option('immersion_index') * wavelength / (na ** 2); // µm
+        const volume = this.option('pixel_size') ** 2 * depth * 1e-15; // L
+        return this.concentration * 1e-9 * PhotonBudget.avogadro * volume;
+    }
+
+    // Photons detected per pixel during the exposure.
+    get
+    signal() {
+        return (this.photon_rate * this.exposure * 1e-3
+                * this.molecules_per_pixel);
+    }
+
+    // Noise per pixel, in e⁻ rms.  Shot noise plus detector noise.
+    get
+    noise() {
+        const detector = this.setup.detector;
+        if (this.read_noise === null && detector !== null)
+            return detector.noise(this.signal, this.exposure);
+        const read_noise = this.read_noise === null ? 0.0 : this.read_noise;
+        return Math.sqrt(this.signal + read_noise ** 2);
+    }
+
+    get
+    snr() {
+        return this.signal / this.noise;
+    }
+}
+mixin(PhotonBudget, ValidationMixin);
+
+PhotonBudget.avogadro = 6.02214076e23;
+
+
+// Förster resonance energy transfer (FRET) between a donor and an
+// acceptor dye.
+//
+// The spectral overlap J is the integral of the donor emission,
+// normalised to unit area, times the acceptor extinction coefficient
+// spectrum times λ⁴.  With J in M⁻¹cm⁻¹nm⁴, the Förster radius is
+// R₀ = 0.02108 (κ² Φ n⁻⁴ J)^(1/6) nm, with Φ the donor quantum
+// yield.
+//
+// Args:
+//     donor (Dye):
+//     acceptor (Dye):
+//     options (Object): with keys:
+//         kappa2 (float): orientation factor κ², 2/3 for freely
+//             rotating dyes.
+//         refractive_index (float): of the medium between the dyes.
+class FretPair
+{
+    constructor(donor, acceptor, {kappa2=2/3, refractive_index=1.4} = {}) {
+        this.donor = donor;
+        this.acceptor = acceptor;
+        this.kappa2 = kappa2;
+        this.refractive_index = refractive_index;
+    }
+
+    validate() {
+        if (! (this.donor instanceof Dye) || ! (this.acceptor instanceof Dye))
+            return 'donor and acceptor must be dyes';
+        if (! (this.kappa2 >= 0.0 && this.kappa2 <= 4.0))
+            return 'κ² must be a number in the [0 4] interval';
+        if (! (this.refractive_index > 0.0))
+            return 'refractive index must be a positive number';
+    }
+
+    // Spectral overlap, in M⁻¹cm⁻¹nm⁴.  NaN if the acceptor has no
+    // extinction coefficient.
+    get
+    overlap() {
+        if (this.acceptor.ex_coeff === null)
+            return NaN;
+        const emission = this.donor.emission;
+        const absorption = this.acceptor.absorption.resample(emission.wavelength);
+        const overlap = emission.multiply(absorption).multiply(
+            new Spectrum(emission.wavelength, emission.wavelength.map(x => x ** 4))
+        );
+        return this.acceptor.ex_coeff * overlap.area / emission.area;
+    }
+
+    // Förster radius, in nm.  NaN if the donor has no quantum yield
+    // or the acceptor has no extinction coefficient.
+    get
+    forster_radius() {
+        if (this.donor.q_yield === null)
+            return NaN;
+        return 0.02108 * Math.pow(this.kappa2 * this.donor.q_yield
+                                  * this.refractive_index ** -4
+                                  * this.overlap, 1/6);
+    }
+
+    // FRET efficiency at a distance, in nm, between the dyes.
+    efficiency(distance) {
+        return 1.0 / (1.0 + (distance / this.forster_radius) ** 6);
+    }
+
+    // Fractions of the signal in a FRET channel, i.e., a Setup with
+    // the donor excitation and the acceptor emission, for equal
+    // amounts of donor and acceptor.  The signal is the sensitised
+    // emission of the acceptor, the donor emission that bleeds
+    // through the emission path, and the acceptor emission from its
+    // direct excitation.
+    //
+    // Args:
+    //     setup (Setup): its dye is ignored.
+    //     efficiency (float): FRET efficiency, in the [0 1] interval.
+    //
+    // Returns:
+    //     Object with 'sensitised', 'bleed_through', and 'direct'
+    //     fractions of the signal.  These are NaN if the dyes are
+    //     missing quantum yield or extinction coefficient, and with
+    //     two-photon excitation.
+    signalFractions(setup, efficiency) {
+        if (setup.excitation === null)
+            throw new Error('no excitation to compute FRET signal');
+
+        const signal = function(dye) {
+            const clone = setup.clone();
+            clone.dye = dye;
+            return {
+                ex: clone.ex_efficiency * dye.ex_coeff,
+                em: clone.em_efficiency * dye.q_yield,
+            };
+        };
+        const donor = signal(this.donor);
+        const acceptor = signal(this.acceptor);
+
+        const parts = {
+            sensitised: donor.ex * efficiency * acceptor.em,
+            bleed_through: donor.ex * (1.0 - efficiency) * donor.em,
+            direct: acceptor.ex * acceptor.em,
+        };
+        const total = parts.sensitised + parts.bleed_through + parts.direct;
+        const missing = [this.donor, this.acceptor].some(
+            x => x.ex_coeff === null || x.q_yield === null
+        );
+        for (let name of Object.keys(parts))
+            parts[name] = (missing || setup.two_photon) ? NaN : parts[name] / total;
+        return parts;
+    }
+}
+mixin(FretPair, ValidationMixin);
+
+
+// Ranks filters to add to the emission path of a Setup.
+//
+// Each candidate is the current emission path plus one filter, in
+// transmission or reflection mode.  A full emission path can then be
+// built one recommendation at a time, e.g., first the dichroic and
+// then the emission filter.
+//
+// Args:
+//     setup (Setup): with a dye and excitation.  It is not modified.
+//     options (Object): with keys:
+//         criterion (String): 'em_efficiency' and 'brightness' rank
+//             by the highest Setup value, 'bleed_through' by the
+//             lowest bleed-through of the second dye.
+//         min_od (float|null): minimum optical density of the
+//             emission path at the excitation peak, i.e., blocking
+//             of the laser line.
+//         min_efficiency (float): minimum emission efficiency, in
+//             the [0 1] interval.
+//         second_dye (Dye|null): required for 'bleed_through'.
+class FilterRecommender
+{
+    constructor(setup, {criterion='em_efficiency', min_od=null,
+                        min_efficiency=0.0, second_dye=null} = {}) {
+        this.setup = setup;
+        this.criterion = criterion;
+        this.min_od = min_od;
+        this.min_efficiency = min_efficiency;
+        this.second_dye = second_dye;
+    }
+
+    validate() {
+        if (this.setup.dye === null || this.setup.excitation === null)
+            return 'setup must have a dye and an excitation';
+        if (! FilterRecommender.criteria.includes(this.criterion))
+            return `unknown criterion '${ this.criterion }'`;
+        if (this.min_od !== null && ! (this.min_od >= 0.0))
+            return 'minimum OD must be a non-negative number';
+        if (! (this.min_efficiency >= 0.0 && this.min_efficiency <= 1.0))
+            return 'minimum efficiency must be in the [0 1] interval';
+        if (this.criterion === 'bleed_through'
+            && ! (this.second_dye instanceof Dye))
+            return 'bleed-through requires a second dye';
+    }
+
+    // Both candidates with a filter, one for each mode.
+    //
+    // Returns:
+    //     Array of Object with the filter 'uid', its 'mode', the
+    //     'em_eff' and 'bright' of the Setup, the 'od' of the
+    //     emission path at the excitation peak, the 'bleed_through'
+    //     of the second dye, and the 'score' by which to rank it.
+    //     The bleed-through is the second dye efficiency as a
+    //     percentage of the dye efficiency, like
+    //     Experiment.bleedThrough, or NaN without a second dye.
+    evaluate(filter) {
+        const wavelength = this.setup.excitation.intensity.peak_wavelength;
+        const candidates = [];
+        for (let mode of ['t', 'r']) {
+            const setup = this.setup.clone();
+            setup.em_path = this.setup.em_path.clone();
+            setup.em_path.push({filter: filter, mode: mode});
+
+            let bleed_through = NaN;
+            if (this.second_dye !== null) {
+                const second = setup.clone();
+                second.dye = this.second_dye;
+                const own = setup.ex_efficiency * setup.em_efficiency;
+                const other = second.ex_efficiency * second.em_efficiency;
+                bleed_through = own > 0.0 ? 100.0 * other / own : NaN;
+            }
+
+            const candidate = {
+                uid: filter.uid,
+                mode: mode,
+                em_eff: setup.em_efficiency,
+                bright: setup.brightness,
+                od: setup.em_path.blocking(wavelength).od,
+                bleed_through: bleed_through,
+            };
+            candidate.score = {
+                em_efficiency: candidate.em_eff,
+                brightness: candidate.bright,
+                bleed_through: -candidate.bleed_through,
+            }[this.criterion];
+            candidates.push(candidate);
+        }
+        return candidates;
+    }
+
+    // Candidates that satisfy the minimum OD and efficiency, best
+    // first.  Candidates with an unknown score, e.g., brightness of
+    // dyes without quantum yield, are dropped.  So are candidates
+    // with unknown blocking, see FilterStack.blocking, if there is a
+    // minimum OD.
+    rank(candidates) {
+        const min_od = this.min_od;
+        return candidates.filter(
+            x => (min_od === null || (x.od !== null && x.od >= min_od))
+                && x.em_eff >= this.min_efficiency && ! isNaN(x.score)
+        ).sort(function(a, b) {
+            const cmp = b.score - a.score;
+            return cmp !== 0.0 ? cmp : a.uid.localeCompare(b.uid);
+        });
+    }
+}
+mixin(FilterRecommender, ValidationMixin);
+
+FilterRecommender.criteria = ['em_efficiency', 'brightness', 'bleed_through'];
+
+
+// Pretty much a wrapper around Map to trigger events when it changes.
+class Collection // also kind of a Map
+{
+    constructor(iterable) {
+        this._events = {}; // for the EventPubMixin
+        this._map = new Map(iterable);
+        this._local = new Set;
+    }
+
+    get
+    size() {
+        return this._map.size;
+    }
+
+    clear() {
+        this._map.clear();
+        this._local.clear();
+        this.trigger('clear');
+    }
+
+    delete(key) {
+        this._local.delete(key);
+        const deleted_something = this._map.delete(key);
+        if (deleted_something)
+            this.trigger('delete', [key]);
+        return deleted_something;
+    }
+
+    entries() {
+        return this._map.entries();
+    }
+
+    get(key) {
+        return this._map.get(key);
+    }
+
+    has(key) {
+        return this._map.has(key);
+    }
+
+    keys() {
+        return this._map.keys();
+    }
+
+    set(key, value) {
+        const event = this._map.has(key) ? 'change' : 'add';
+        this._map.set(key, value);
+        this.trigger(event, [key]);
+    }
+
+    values() {
+        return this._map.values();
+    }
+
+    // Whether the value for key is kept by the user's LocalStore
+    // rather than from the site data.
+    isLocal(key) {
+        return this._local.has(key);
+    }
+
+    // Keys are marked before their values are set, so that they are
+    // already local on the 'add' and 'change' events.
+    markLocal(key, local=true) {
+        if (local)
+            this._local.add(key);
+        else
+            this._local.delete(key);
+    }
+
+    localKeys() {
+        return Array.from(this._local);
+    }
+
+    [Symbol.iterator]() {
+        return this._map[Symbol.iterator]();
+    }
+}
+mixin(Collection, EventPubMixin);
+
+// Like Collection for Filter, Detectors, Dyes, and Excitation.
+//
+// The elements of this collection will all be promises of our Data
+// instances.  The reading of the data files is actually delayed until
+// it is requested, hence it should be used like:
+//
+//    collection.get(uid).then(...)
+//
+// XXX: the first argument of the constructor is Array<key> instead of
+//     Array<[key, val]> like the base classes Collection and Map.
+//     This is weird and not great design.
+//
+// Args:
+//     uids (Array<String>): these are expected to be filenames too
+//       (without the .csv extension (lowercase)
+//     datadir(String): directory where the files from uids will be
+//     reader (function): will parse the text of a file and
+//        return a Data object.  See Data.constructFromText.
+//     generator (function|null): makes the data for keys which are
+//        not on the collection, returns null for the keys it does
+//        not know.  See Excitation.generate.  The generated data is
+//        added to the collection the first time it is requested.
+//
+// The text of the files is kept after parsing so that the data can
+// be sent to a Web Worker, see BatchRunner.
+class DataCollection extends Collection
+{
+    constructor(uids, datadir, reader, generator=null) {
+        // We can keep track of which ones have already been read,
+        // because their value will be undefined.
+        super(uids.map(x => [x, undefined]));
+        this.datadir = datadir;
+        this.reader = reader;
+        this.generator = generator;
+        this._texts = new Map;
+        this._generated = new Set;
+    }
+
+    // Whether the data for key was made by the generator.  It has
+    // no text, and can be made again from its key alone.
+    isGenerated(key) {
+        return this._generated.has(key);
+    }
+
+    // Promise of the text that was parsed into the data for key.
+    // The promise value is undefined if the data was not added from
+    // text, i.e., it was set directly with a Data instance.
+    text(key) {
+        return this.get(key).then(() => this._texts.get(key));
+    }
+
+    // Add data from the text of a file.  Unlike get(), the text is
+    // parsed immediately so this throws if the text is invalid.
+    setText(key, text) {
+        const data = this.reader(text, {'uid': key});
+        this.set(key, Promise.resolve(data));
+        this._texts.set(key, text);
+    }
+
+    set(key, value) {
+        // Forget the text of any previous data with the same key.
+        this._texts.delete(key);
+        this._generated.delete(key);
+        super.set(key, value);
+    }
+
+    get(key) {
+        if (! this.has(key) && this.generator !== null) {
+            let data;
+            try {
+                data = this.generator(key);
+            } catch (e) {
+                return Promise.reject(e);
+            }
+            if (data !== null) {
+                // Mark it before the 'add' event.
+                this._generated.add(key);
+                super.set(key, Promise.resolve(data));
+                return super.get(key);
+            }
+        }
+
+        // Also check if the key actually exists first, because get
+        // returns undefined if not, and so we couldn't distinguish
+        // between an invalid key and a not yet read value.
+        if (this.has(key) && super.get(key) === undefined) {
+            const fpath = this.datadir + key + '.csv';
+            const value = $.ajax({
+                url: fpath,
+                dataType: 'text',
+            }).then(
+                (text) => {
+                    this._texts.set(key, text);
+                    return this.reader(text, {'uid': key});
+                },
+                // throw an Error instance so it's handled like any
+                // other error downstream.
+                (jqXHR) => {throw new Error(jqXHR.statusText);}
+            );
+            this._map.set(key, value);
+        }
+        return super.get(key);
+    }
+
+    // This methods would require reading all of the data files which
+    // kinda defeats the purpose of this class.
+    entries() {
+        throw new Error('not a useful method for lazy loading');
+    }
+    values() {
+        throw new Error('not a useful method for lazy loading');
+    }
+    [Symbol.iterator]() {
+        throw new Error('not a useful method for lazy loading');
+    }
+}
+
+
+// Keeps the data imported and the setups saved by the user across
+// sessions, on the IndexedDB of the browser so that no server is
+// needed.  The local data is added to the collections with the site
+// data, and marked as local on them, see Collection.isLocal.
+//
+// Each record has the type of data, e.g., 'dye' or 'setup', its
+// uid, and its value: the text of the data file, always in our own
+// format, or the setup description as from SetupDescription.toJSON.
+//
+// If IndexedDB is not available, e.g., some browsers disable it on
+// private windows, the local data is still added to the collections
+// but is lost on reload.  The reason is then on 'error'.
+//
+// Args:
+//     db (IDBDatabase|null):
+//     collections (Object): the collections for each type of data,
+//         see read_collections.
+//     error (String|null): why there is no db.
+class LocalStore
+{
+    constructor(db, collections, error=null) {
+        this.db = db;
+        this.collections = collections;
+        this.error = error;
+    }
+
+    get
+    is_persistent() {
+        return this.db !== null;
+    }
+
+    // Promise of a LocalStore, with its records already added to the
+    // collections.  It is never rejected, see 'error'.  Records that
+    // can not be read, e.g., because the data format changed, are
+    // left on the database.
+    static
+    open(collections, name=LocalStore.db_name) {
+        return new Promise(function(resolve, reject) {
+            if (typeof(indexedDB) === 'undefined')
+                throw new Error('IndexedDB is not available');
+            const request = indexedDB.open(name, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(
+                'records', {keyPath: ['dtype', 'uid']}
+            );
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).then(function(db) {
+            const local = new LocalStore(db, collections);
+            return local._request('readonly', 'getAll').then(function(records) {
+                for (let record of records) {
+                    try {
+                        local._addTo(record);
+                    } catch (e) {
+                        console.error(`can not read local ${ record.dtype }`
+                                      + ` '${ record.uid }': ${ e.message }`);
+                    }
+                }
+                return local;
+            });
+        }).catch((e) => new LocalStore(null, collections, e.message));
+    }
+
+    // Promise of the result of a request on the records store.
+    // Without db, it is resolved to undefined.
+    _request(mode, method, ...args) {
+        if (this.db === null)
+            return Promise.resolve(undefined);
+        return new Promise((function(resolve, reject) {
+            const request = this.db.transaction('records', mode).objectStore(
+                'records'
+            )[method](...args);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).bind(this));
+    }
+
+    // Add a record to its collection, marked as local.  Throws if
+    // its value is not valid or its uid is the uid of site data.
+    //
+    // Returns:
+    //     The record to keep, with the setup description validated.
+    _addTo(record) {
+        const {dtype, uid} = record;
+        let value = record.value;
+        if (! LocalStore.dtypes.includes(dtype))
+            throw new Error(`unknown type of data '${ dtype }'`);
+        if (typeof(uid) !== 'string' || uid.trim().length === 0)
+            throw new Error('name must be a non-empty string');
+
+        // Site data is not replaced, it would be lost from the
+        // collection once the local record is deleted.
+        const collection = this.collections[dtype];
+        if (collection.has(uid) && ! collection.isLocal(uid))
+            throw new Error(`there is already a site ${ dtype }`
+                            + ` named '${ uid }'`);
+        const was_local = collection.isLocal(uid);
+        collection.markLocal(uid);
+        try {
+            if (dtype === 'setup') {
+                value = SetupDescription.fromJSON(value).toJSON();
+                collection.set(uid, value);
+            } else {
+                if (typeof(value) !== 'string')
+                    throw new Error('data must be the text of a file');
+                collection.setText(uid, value);
+            }
+        } catch (e) {
+            collection.markLocal(uid, was_local);
+            throw e;
+        }
+        return {dtype: dtype, uid: uid, value: value};
+    }
+
+    // Add data, or a setup, to its collection and keep it.  Throws
+    // if the value is not valid or the uid is taken by site data.
+    //
+    // Args:
+    //     dtype (String): one of LocalStore.dtypes.
+    //     uid (String):
+    //     value (String|Object): text of the data file, or the setup
+    //         description.
+    //
+    // Returns:
+    //     A promise resolved once the record is kept.
+    add(dtype, uid, value) {
+        return this._request('readwrite', 'put',
+                             this._addTo({dtype: dtype, uid: uid, value: value}));
+    }
+
+    delete(dtype, uid) {
+        this.collections[dtype].delete(uid);
+        return this._request('readwrite', 'delete', [dtype, uid]);
+    }
+
+    // Setups that use renamed data are not changed.
+    rename(dtype, uid, new_uid) {
+        if (new_uid === uid)
+            return Promise.resolve();
+        if (this.collections[dtype].has(new_uid))
+            return Promise.reject(new Error(`there is already a ${ dtype }`
+                                            + ` named '${ new_uid }'`));
+        return this.value(dtype, uid).then(
+            (value) => this.add(dtype, new_uid, value)
+        ).then(() => this.delete(dtype, uid));
+    }
+
+    // Promise of the value of local data, or setup, as kept.
+    value(dtype, uid) {
+        const collection = this.collections[dtype];
+        if (dtype === 'setup')
+            return Promise.resolve(
+                JSON.parse(JSON.stringify(collection.get(uid)))
+            );
+        return collection.text(uid);
+    }
+
+    // Promise of the JSON text of a bundle with all the local data
+    // and setups, to move them to another machine with importBundle.
+    exportBundle() {
+        const promises = [];
+        for (let dtype of LocalStore.dtypes)
+            for (let uid of this.collections[dtype].localKeys())
+                promises.push(this.value(dtype, uid).then(
+                    (value) => ({dtype: dtype, uid: uid, value: value})
+                ));
+        return Promise.all(promises).then((records) => JSON.stringify({
+            format: LocalStore.bundle_format,
+            records: records,
+        }, null, 1));
+    }
+
+    // Add and keep all the records on the JSON text of a bundle.
+    // Records with the same type and uid as existing ones replace
+    // them.  Invalid records are skipped and the promise rejected
+    // with their names once the others are kept.
+    importBundle(text) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (e) {
+            return Promise.reject(new Error(`invalid JSON: ${ e.message }`));
+        }
+        if (bundle === null || bundle.format !== LocalStore.bundle_format
+            || ! Array.isArray(bundle.records))
+            return Promise.reject(new Error('not a bundle of SpekCheck local data'));
+
+        const failed = [];
+        const promises = [];
+        for (let record of bundle.records) {
+            const {dtype, uid, value} = Object(record);
+            try {
+                promises.push(this.add(dtype, uid, value));
+            } catch (e) {
+                failed.push(`${ dtype } '${ uid }' (${ e.message })`);
+            }
+        }
+        return Promise.all(promises).then(function() {
+            if (failed.length !== 0)
+                throw new Error(`failed to import ${ failed.join(', ') }`);
+        });
+    }
+}
+
+// Name of the IndexedDB database, shared by all SpekCheck pages on
+// the same site.
+LocalStore.db_name = 'spekcheck';
+
+// Types of data that can be local, keys of the collections.
+LocalStore.dtypes = ['setup', 'detector', 'dye', 'excitation', 'filter',
+                     'objective', 'background'];
+
+// Identifies the JSON files of exportBundle.
+LocalStore.bundle_format = 'spekcheck-local-1';
+
+
+// Runs batch computations, such as testing all dyes on a Setup, in a
+// Web Worker so that the page does not freeze while they run.
+//
+// The worker has its own DataCollection instances which parse the
+// text of the data files with the readers from spekcheck_db.  The
+// text is read from our collections, so data imported but not saved
+// is available to the worker too, and only sent to the worker the
+// first time it is needed.
+//
+// If a Web Worker can't be started, for example some browsers don't
+// allow them when SpekCheck is opened from the filesystem, or if the
+// text of some data is not known, jobs run on the main thread.
+//
+// Only one job runs at a time.  Running a new job cancels the
+// previous one.  Triggers 'progress' events with the number of
+// computations done and the total number.
+//
+// Args:
+//     collections (Object): with 'detector', 'dye', 'excitation',
+//         'filter', 'objective', and 'background' DataCollection
+//         instances.
+//     worker_url (String|null): URL for the worker script.  If
+//         null, jobs always run on the main thread.
+class BatchRunner
+{
+    constructor(collections, worker_url=BatchRunner.worker_url) {
+        this._events = {}; // for the EventPubMixin
+        this.collections = collections;
+        this._worker_url = worker_url;
+        this._worker = null; // Worker or null
+        // Maps 'dtype/uid' to the text last sent to the worker.
+        this._sent = new Map;
+        // The running job, an Object with id, resolve, and reject.
+        this._job = null;
+        this._job_count = 0;
+    }
+
+    // Promise of the job results, or of null if the job gets
+    // cancelled.
+    //
+    // Args:
+    //     name (String): key of BatchRunner.jobs.
+    //     args (Object): arguments for the job.  Must be cloneable
+    //         for a Web Worker, so can't include our Data instances.
+    run(name, args) {
+        const job = BatchRunner.jobs[name];
+        if (job === undefined)
+            return Promise.reject(new Error(`unknown batch job '${ name }'`));
+
+        this.cancel();
+        return new Promise((function(resolve, reject) {
+            this._job = {
+                id: ++this._job_count,
+                name: name,
+                args: args,
+                resolve: resolve,
+                reject: reject,
+            };
+            this._runInWorker(this._job);
+        }).bind(this));
+    }
+
+    // Cancel the running job, if any.  Its promise resolves to null.
+    cancel() {
+        if (this._job === null)
+            return;
+        // There's no way to interrupt a worker except terminating
+        // it, in which case it also loses all the data it had.
+        if (this._worker !== null) {
+            this._worker.terminate();
+            this._worker = null;
+            this._sent.clear();
+        }
+        this._done(this._job, 'resolve', null);
+    }
+
+    _done(job, how, value) {
+        if (this._job !== job)
+            return;
+        this._job = null;
+        job[how](value);
+    }
+
+    _progress(job, done, total) {
+        if (this._job === job)
+            this.trigger('progress', [done, total]);
+    }
+
+    _startWorker() {
+        if (this._worker !== null || this._worker_url === null)
+            return this._worker;
+        try {
+            this._worker = new Worker(this._worker_url);
+        } catch (e) {
+            this._worker_url = null;
+            return null;
+        }
+        this._worker.onmessage = this._handleMessage.bind(this);
+        // We get an error event if the worker script fails to load.
+        // Errors in the jobs are sent back as messages.
+        this._worker.onerror = (function(ev) {
+            ev.preventDefault();
+            this._worker.terminate();
+            this._worker = null;
+            this._worker_url = null;
+            this._sent.clear();
+            if (this._job !== null)
+                this._runHere(this._job);
+        }).bind(this);
+        return this._worker;
+    }
+
+    _runInWorker(job) {
+        if (this._startWorker() === null) {
+            this._runHere(job);
+            return;
+        }
+
+        const data = BatchRunner.jobs[job.name].data(job.args);
+        const promises = [];
+        for (let dtype of Object.keys(data))
+            for (let uid of data[dtype])
+                promises.push(this.collections[dtype].text(uid).then(
+                    (text) => [dtype, uid, text]
+                ));
+
+        Promise.all(promises).then((function(texts) {
+            if (this._job !== job)
+                return;
+            // Generated data has no text, the worker generates it
+            // too.
+            const generated = x => this.collections[x[0]].isGenerated(x[1]);
+            if (texts.some(x => x[2] === undefined && ! generated(x))) {
+                this._runHere(job);
+                return;
+            }
+            const new_texts = texts.filter(
+                x => ! generated(x) && this._sent.get(x[0] + '/' + x[1]) !== x[2]
+            );
+            for (let x of new_texts)
+                this._sent.set(x[0] + '/' + x[1], x[2]);
+            this._worker.postMessage({
+                id: job.id,
+                name: job.name,
+                args: job.args,
+                texts: new_texts,
+            });
+        }).bind(this)).catch(this._done.bind(this, job, 'reject'));
+    }
+
+    _handleMessage(ev) {
+        const msg = ev.data;
+        const job = this._job;
+        if (job === null || job.id !== msg.id)
+            return;
+        if (msg.type === 'progress')
+            this._progress(job, msg.done, msg.total);
+        else if (msg.type === 'result')
+            this._done(job, 'resolve', msg.result);
+        else { // msg.type === 'error'
+            const err = new Error(msg.message);
+            err.stack = msg.stack;
+            this._done(job, 'reject', err);
+        }
+    }
+
+    _runHere(job) {
+        const progress = (function(done, total) {
+            // Stop the computations of a cancelled job.
+            if (this._job !== job)
+                throw new Error('batch job cancelled');
+            this._progress(job, done, total);
+        }).bind(this);
+        BatchRunner.jobs[job.name].run(this.collections, job.args, progress).then(
+            this._done.bind(this, job, 'resolve'),
+            this._done.bind(this, job, 'reject'),
+        );
+    }
+
+    // To be called by the worker script on the messages from a
+    // BatchRunner.
+    //
+    // Args:
+    //     collections (Object): the worker DataCollection instances.
+    //     msg (Object): the message data.
+    //     post (function): to send messages back to the BatchRunner.
+    static
+    handleJob(collections, msg, post) {
+        const progress = function(done, total) {
+            post({id: msg.id, type: 'progress', done: done, total: total});
+        };
+        return new Promise(function(resolve) {
+            for (let [dtype, uid, text] of msg.texts)
+                collections[dtype].setText(uid, text);
+            const job = BatchRunner.jobs[msg.name];
+            resolve(job.run(collections, msg.args, progress));
+        }).then(
+            (result) => post({id: msg.id, type: 'result', result: result}),
+            (err) => post({
+                id: msg.id,
+                type: 'error',
+                message: err.message,
+                stack: err.stack,
+            }),
+        );
+    }
+}
+mixin(BatchRunner, EventPubMixin);
+
+// Relative to the page, like the data files in spekcheck_db.
+BatchRunner.worker_url = 'js/spekcheck-worker.js';
+
+// The jobs that a BatchRunner can run.
+//
+// Each job is an Object with two functions:
+//
+//     data(args): returns an Object with the uids of the data
+//         required by the job, keyed by data type.
+//     run(collections, args, progress): returns a promise of the
+//         results.  It must call progress(done, total) as it goes.
+//
+// Both the args and the results must be cloneable for a Web Worker
+// so they can't include Spectrum or Data instances.
+BatchRunner.jobs = {};
+
+// Add the uids of the data in a SetupDescription to the Object
+// returned by the data() function of a job.
+BatchRunner.addSetupData = function(data, setup) {
+    const add = function(dtype, uid) {
+        if (data[dtype] === undefined)
+            data[dtype] = [];
+        if (! data[dtype].includes(uid))
+            data[dtype].push(uid);
+    };
+    for (let dtype of ['detector', 'dye', 'excitation', 'objective',
+                       'background'])
+        if (setup[dtype] !== null && setup[dtype] !== undefined)
+            add(dtype, setup[dtype]);
+    // Spectral selections and designed filters are built from the
+    // description itself.
+    for (let x of setup.ex_path.concat(setup.em_path))
+        if (x.filter !== 'spectral' && x.design === undefined)
+            add('filter', x.filter);
+    return data;
+};
+
+// Efficiency and brightness of a list of dyes on a Setup.
+//
+// Args:
+//     setup (SetupDescription): the setup to test the dyes on.
+//     sampling (Sampling): the sampling policy of the setup.
+//     dyes (Array<String>): uids of the dyes to test.
+//     reference (Object): the brightness reference of the setup, with
+//         the uid and state of its dye.  See BrightnessReference.toJSON.
+//
+// Results:
+//     Array of Object with 'uid', 'ex_eff', 'em_eff', 'bright', and
+//     'sbr'.  Dyes with multiple states have one result for each
+//     state, with the state name in square brackets after the uid.
+BatchRunner.jobs['test-dyes'] = {
+    data: function(args) {
+        const dyes = args.dyes.slice();
+        if (args.reference.dye !== null && ! dyes.includes(args.reference.dye))
+            dyes.push(args.reference.dye);
+        return BatchRunner.addSetupData({dye: dyes}, args.setup);
+    },
+
+    run: function(collections, args, progress) {
+        return Promise.all([
+            Setup.fromDescription(args.setup, collections),
+            BrightnessReference.fromJSON(args.reference, collections.dye),
+        ]).then(function([setup, reference]) {
+            setup.sampling = new Sampling(args.sampling);
+            setup.brightness_reference = reference;
+            const results = [];
+            let chain = Promise.resolve();
+            let done = 0;
+            for (let uid of args.dyes) {
+                chain = chain.then(() => collections.dye.get(uid)).then(function(dye) {
+                    // Dyes with multiple states are tested on each
+                    // of their states.
+                    const states = (dye.states === null
+                                    ? [[uid, dye]]
+                                    : dye.state_names.map(
+                                        x => [`${ uid } [${ x }]`, dye.inState(x)]
+                                    ));
+                    for (let [name, dye_in_state] of states) {
+                        setup.dye = dye_in_state;
+                        results.push({
+                            'uid': name,
+                            'ex_eff': setup.ex_efficiency,
+                            'em_eff': setup.em_efficiency,
+                            'bright': setup.brightness,
+                            'sbr': setup.sbr,
+                        });
+                    }
+                    progress(++done, args.dyes.length);
+                });
+            }
+            return chain.then(() => results);
+        });
+    },
+};
+
+// Photon budget of a Setup with each of a list of detectors.  See
+// PhotonBudget.
+//
+// Args:
+//     setup (SetupDescription): the setup, its detector is ignored.
+//     sampling (Sampling): the sampling policy of the setup.
+//     budget (Object): the PhotonBudget options.
+//     detectors (Array<String>): uids of the detectors to compare.
+//
+// Results:
+//     Array of Object with 'uid', 'signal', 'noise', 'snr', and
+//     'noise_model', whether the detector has noise properties.
+BatchRunner.jobs['compare-detectors'] = {
+    data: function(args) {
+        return BatchRunner.addSetupData({detector: args.detectors.slice()},
+                                        args.setup);
+    },
+
+    run: function(collections, args, progress) {
+        return Setup.fromDescription(args.setup, collections).then(function(setup) {
+            setup.sampling = new Sampling(args.sampling);
+            const budget = new PhotonBudget(setup, args.budget);
+            const results = [];
+            let chain = Promise.resolve();
+            for (let uid of args.detectors) {
+                chain = chain.then(() => collections.detector.get(uid)).then(function(detector) {
+                    setup.detector = detector;
+                    if (! budget.isValid())
+                        throw new Error(budget.validation_error);
+                    results.push({
+                        'uid': uid,
+                        'signal': budget.signal,
+                        'noise': budget.noise,
+                        'snr': budget.snr,
+                        'noise_model': detector.has_noise_model,
+                    });
+                    progress(results.length, args.detectors.length);
+                });
+            }
+            return chain.then(() => results);
+        });
+    },
+};
+
+// Signal and bleed-through of a list of dyes on a list of channels.
+// See Experiment.
+//
+// Args:
+//     dyes (Array<String>): uids of the dyes.
+//     channels (Array<SetupDescription>): the setup of each channel.
+//     sampling (Sampling): the sampling policy for all channels.
+//
+// Results:
+//     Object with 'efficiency', 'brightness', and 'bleed_through'
+//     N×M Arrays (dyes by channels), and the 'own_channels' of each
+//     dye, see Experiment.ownChannels.  It also has the feasibility of
+//     unmixing the dyes, see Unmixing: 'condition_number',
+//     'noise_amplification' for each dye, and 'inseparable' pairs
+//     of dyes.
+BatchRunner.jobs['crosstalk'] = {
+    data: function(args) {
+        const data = {dye: args.dyes.slice()};
+        for (let setup of args.channels)
+            BatchRunner.addSetupData(data, setup);
+        return data;
+    },
+
+    run: function(collections, args, progress) {
+        const dyes = Promise.all(args.dyes.map(uid => collections.dye.get(uid)));
+        const channels = Promise.all(args.channels.map(
+            (description) => Setup.fromDescription(description, collections)
+        ));
+        return Promise.all([dyes, channels]).then(function([dyes, channels]) {
+            const sampling = new Sampling(args.sampling);
+            for (let setup of channels)
+                setup.sampling = sampling;
+            const experiment = new Experiment(dyes, channels);
+            const signal = experiment.signal();
+            const own_channels = experiment.ownChannels();
+            const unmixing = new Unmixing(signal.efficiency);
+            progress(1, 1);
+            return {
+                efficiency: signal.efficiency,
+                brightness: signal.brightness,
+                bleed_through: Experiment.bleedThrough(signal.efficiency,
+                                                       own_channels),
+                own_channels: own_channels,
+                condition_number: unmixing.condition_number,
+                noise_amplification: unmixing.noise_amplification,
+                inseparable: unmixing.inseparablePairs(),
+            };
+        });
+    },
+};
+
+// Candidate filters to add to the emission path of a Setup, ranked.
+// See FilterRecommender.
+//
+// Args:
+//     setup (SetupDescription): the setup to add the filters to.
+//     sampling (Sampling): the sampling policy of the setup.
+//     reference (Object): the brightness reference of the setup, with
+//         the uid and state of its dye.  See BrightnessReference.toJSON.
+//     options (Object): the FilterRecommender options, with the uid
+//         of the second dye.
+//     filters (Array<String>): uids of the candidate filters.
+//
+// Results:
+//     Array of the candidates, best first, see
+//     FilterRecommender.evaluate.
+BatchRunner.jobs['recommend-filters'] = {
+    data: function(args) {
+        const dyes = [args.reference.dye, args.options.second_dye].filter(
+            x => x !== null
+        );
+        return BatchRunner.addSetupData({filter: args.filters.slice(), dye: dyes},
+                                        args.setup);
+    },
+
+    run: function(collections, args, progress) {
+        const second_dye = args.options.second_dye;
+        return Promise.all([
+            Setup.fromDescription(args.setup, collections),
+            BrightnessReference.fromJSON(args.reference, collections.dye),
+            second_dye === null ? null : collections.dye.get(second_dye),
+        ]).then(function([setup, reference, second_dye]) {
+            setup.sampling = new Sampling(args.sampling);
+            setup.brightness_reference = reference;
+            const recommender = new FilterRecommender(
+                setup, Object.assign({}, args.options, {second_dye: second_dye})
+            );
+            if (! recommender.isValid())
+                throw new Error(recommender.validation_error);
+
+            let candidates = [];
+            let chain = Promise.resolve();
+            let done = 0;
+            for (let uid of args.filters) {
+                chain = chain.then(() => collections.filter.get(uid)).then(function(filter) {
+                    candidates = candidates.concat(recommender.evaluate(filter));
+                    progress(++done, args.filters.length);
+                });
+            }
+            return chain.then(() => recommender.rank(candidates));
+        });
+    },
+};
+
+
+// Base class for our views.
+//
+// Provides some pass-through methods to the jQuery element it
+// controls.
+//
+// Args:
+//     $el: jQuery instance with one element
+class View
+{
+    constructor($el) {
+        this.$el = $el;
+    }
+
+    on() {
+        return this.$el.on(...arguments);
+    }
+
+    val() {
+        return this.$el.val(...arguments);
+    }
+
+    $(selector) {
+        return $(this.$el.find(selector));
+    }
+
+    render() {
+        return this.$el.html(this.toHTML());
+    }
+
+    // Subclasses should overload this method which is called by render.
+    toHTML() {
+        throw new Error('toHTML method not implemented in View subclass');
+    }
+}
+
+class CollectionView extends View
+{
+    constructor($el, collection) {
+        super($el);
+        this.collection = collection;
+        for (let change of ['clear', 'delete', 'change', 'add'])
+             this.collection.on(change, this.render, this);
+    }
+
+    toHTML() {
+        const uids = Array.from(this.collection.keys());
+        const html = uids.map(uid => this.itemHTML(uid));
+        return html;
+    }
+
+    // Subclasses should overload this.
+    itemHTML(uid) {
+        return uid;
+    }
+}
+
+// Displays a Collection as option lists in a select menu with an
+// empty entry at the top.  Used to select a Setup, Detector, Dye, and
+// Excitation.
+class SelectView extends CollectionView
+{
+    constructor($el, collection) {
+        super($el, collection);
+        this._blank = this.itemHTML('');
+    }
+
+    toHTML() {
+        // Prepend an empty string to the list of uids to be used as
+        // selecting none.  The blank option is cloned because jQuery
+        // would move the same node out of the select.
+        const options = super.toHTML();
+        return [this._blank.clone()].concat(options);
+    }
+
+    render() {
+        return this.$el.empty().append(this.toHTML());
+    }
+
+    // Append a new item to the View.  We append and we really do not
+    // want to be sorting them.  This happens when a user imports a
+    // new dye or saves a new setup, and we want them at the end so
+    // it's easy to find them and distinguish from the default
+    // options.
+    append(uid, model) {
+        this.$el.append(this.itemHTML(uid));
+    }
+
+    // Local data, see LocalStore, is marked so that it is not
+    // mistaken for the site data.  The option is built as a node
+    // since uids of local data are whatever the user typed.
+    itemHTML(uid) {
+        const label = this.collection.isLocal(uid) ? `${ uid } (local)` : uid;
+        return $('<option>').val(uid).text(label);
+    }
+}
+
+
+// Displays the elements in a Collection as list-group-item.  To view
+// and not select.  Used to show the list of Filters available in the
+// FilterStackBuilder GUI.
+//
+// The list can be searched, by uid and metadata, and grouped by a
+// metadata field.  The metadata is on the data files, so these are
+// only all read once the list is shown, see showMetadata, or the
+// first time it is searched or grouped.  The metadata of each item
+// is displayed with it once read.
+//
+// Args:
+//     el (Element): the list.
+//     collection (DataCollection):
+//     template (Element): the list item.
+//     search (Element|null): text input with the search query.
+//     group (Element|null): select with the metadata field to group
+//         by, or the empty string.
+//
+// TODO: special case for now, but we should be redoing the parent
+//   classes to use nodes with the template
+class CollectionViewB
+{
+    constructor(el, collection, template, search=null, group=null) {
+        this._el = el;
+        this._collection = collection;
+        this._template = template;
+        this._search = search;
+        this._group = group;
+        // Maps uid to the Data read so far, for their metadata.
+        this._data = new Map;
+        this._requested = new Set;
+        this._show_metadata = false;
+
+        // TODO: the collection class should have a change event for
+        // all that and the event object should then specify which of
+        // this changes types actually happened.
+        for (let change of ['clear', 'delete', 'change', 'add'])
+            this._collection.on(change, this.render, this);
+        for (let control of [search, group])
+            if (control !== null)
+                control.addEventListener('input', this.render.bind(this));
+    }
+
+    get
+    query() {
+        return this._search === null ? '' : this._search.value.trim().toLowerCase();
+    }
+
+    get
+    group_field() {
+        return this._group === null ? '' : this._group.value;
+    }
+
+    render() {
+        const query = this.query;
+        const field = this.group_field;
+        if (this._show_metadata || query !== '' || field !== '')
+            this._readAll();
+
+        const uids = Array.from(this._collection.keys()).filter(
+            uid => this.matches(uid, query)
+        );
+
+        this._el.textContent = '';
+        if (field === '') {
+            for (let uid of uids)
+                this._el.appendChild(this.itemNode(uid));
+            return this._el;
+        }
+
+        // Group names are not case-sensitive, our files have both
+        // 'filter' and 'Filter'.  Items with multiple values are on
+        // the group of their first value.
+        const groups = new Map;
+        for (let uid of uids) {
+            const data = this._data.get(uid);
+            let value = data === undefined ? null : data.metadata[field];
+            if (Array.isArray(value))
+                value = value[0];
+            const name = value === null ? 'other' : value.toLowerCase();
+            if (! groups.has(name))
+                groups.set(name, []);
+            groups.get(name).push(uid);
+        }
+        for (let name of Array.from(groups.keys()).sort()) {
+            const header = document.createElement('li');
+            header.className = 'list-group-item list-group-item-secondary py-1';
+            header.textContent = name;
+            this._el.appendChild(header);
+            for (let uid of groups.get(name))
+                this._el.appendChild(this.itemNode(uid));
+        }
+        return this._el;
+    }
+
+    // Whether the uid or the metadata of an item has the query.
+    matches(uid, query) {
+        if (query === '' || uid.toLowerCase().includes(query))
+            return true;
+        const data = this._data.get(uid);
+        return (data !== undefined
+                && data.metadata_lines.some(x => x.toLowerCase().includes(query)));
+    }
+
+    // Read the data of all items, also those added later, to display
+    // their metadata.  Not done on construction because it reads all
+    // data files, so call it once the list is shown.
+    showMetadata() {
+        this._show_metadata = true;
+        this._readAll();
+    }
+
+    // Read the data not yet read, and render again once read.
+    _readAll() {
+        const uids = Array.from(this._collection.keys()).filter(
+            uid => ! this._requested.has(uid)
+        );
+        if (uids.length === 0)
+            return;
+        const reads = uids.map(function(uid) {
+            this._requested.add(uid);
+            return this._collection.get(uid).then(
+                (data) => this._data.set(uid, data),
+                // Failures are dealt with when the data is used.
+                () => undefined
+            );
+        }, this);
+        Promise.all(reads).then(this.render.bind(this));
+    }
+
+    itemNode(uid) {
+        const node = document.importNode(this._template, true);
+        node.dataset.uid = uid;
+        node.textContent = uid;
+        if (this._collection.isLocal(uid)) {
+            const badge = document.createElement('span');
+            badge.className = 'badge badge-info ml-1';
+            badge.textContent = 'local';
+            node.appendChild(badge);
+        }
+        const data = this._data.get(uid);
+        if (data !== undefined) {
+            const summary = data.summary;
+            if (summary !== '') {
+                const small = document.createElement('small');
+                small.className = 'text-muted d-block';
+                small.textContent = summary;
+                node.appendChild(small);
+            }
+            node.title = data.metadata_lines.join('\n');
+        }
+        node.ondragstart = this.handleDragStart;
+        return node;
+    }
+
+    handleDragStart(ev) {
+        ev.dataTransfer.setData('text/plain', ev.target.dataset.uid);
+        ev.dataTransfer.effectAllowed = 'copy';
+    }
+}
+
+
+// Displays a FilterStack, one of the two paths which compose a Setup.
+class FilterStackView
+{
+    constructor(el, filterstack, template) {
+        this._el = el;
+        this._filterstack = filterstack;
+        this._template = template;
+
+        this._filterstack.on('change', this.render, this);
+    }
+
+    render() {
+        this._el.textContent = '';
+        for (let i = 0; i < this._filterstack.length; i++)
+            this._el.appendChild(this.itemNode(i));
+        return this._el;
+    }
+
+    // A Node for a filter in the filterstack.
+    //
+    // Args:
+    //     i(Integer): index into the filterstack.  We need the index
+    //         because we need unique names
+    itemNode(i) {
+        const filter = this._filterstack._stack[i].filter;
+        const mode = this._filterstack._stack[i].mode;
+
+        const node = document.importNode(this._template, true);
+        node.querySelector('span#filter-name').textContent = (
+            filter instanceof SpectralSelectionFilter ? filter.name : filter.uid
+        );
+
+        // We have two labels, one for each radio button of
+        // transmission and reflection.  Because there's only two
+        // choices, we want to make them look like a switch slider.
+        // For that, we use bootstrap's btn-group-toggle class and
+        // listen for clicks on any of the buttons.  And not only do
+        // we change the 'active' class, we also switch between
+        // btn-primary and btn-secondary to have the blue/grey style.
+        const mode_switch = node.querySelector('#filter-mode-switch');
+        mode_switch.addEventListener(
+            'click',
+            this.toggleFilterMode.bind(this, i)
+        );
+
+        // Button for transmission is first, reflection is second.
+        // Maybe this shouldn't be hardcoded...
+        const checked_i = mode === 't' ? 0 : 1;
+        const labels = mode_switch.querySelectorAll('label');
+        labels[checked_i].querySelector('input').checked = true;
+        labels[checked_i].classList.remove('btn-secondary');
+        labels[checked_i].classList.add('btn-primary', 'active');
+
+        // We drag and drop filters from the filter collection into
+        // the filter stack to add them.  We could drag filters out to
+        // remove them.  While that would be nice, seems like it's
+        // actually not that intuitive so we have a button.
+        const close = node.querySelector('button.close');
+        close.addEventListener('click', this.removeFilter.bind(this, i));
+
+        // Angle of incidence.  Only for real filters, the spectral
+        // selection is not an interference filter.
+        const elem = this._filterstack._stack[i];
+        const angle_controls = node.querySelector('.filter-angle-controls');
+        if (elem.filter instanceof Filter) {
+            const angle = angle_controls.querySelector('.filter-angle');
+            const n_eff = angle_controls.querySelector('.filter-n-eff');
+            angle.value = (elem.angle === undefined
+                           ? elem.filter.design_angle : elem.angle);
+            n_eff.value = (elem.n_eff === undefined
+                           ? elem.filter.effective_index : elem.n_eff);
+            const handler = this.changeFilterAngle.bind(this, i, angle, n_eff);
+            angle.addEventListener('change', handler);
+            n_eff.addEventListener('change', handler);
+        } else
+            angle_controls.remove();
+
+        return node;
+    }
+
+    toggleFilterMode(i) {
+        this._filterstack.toggleElemMode(i);
+    }
+
+    changeFilterAngle(i, angle_input, n_eff_input) {
+        const filter = this._filterstack._stack[i].filter;
+        const angle = parseFloat(angle_input.value);
+        const n_eff = parseFloat(n_eff_input.value);
+        if (! (angle >= 0.0 && angle < 90.0) || ! (n_eff >= 1.0)) {
+            angle_input.classList.add('is-invalid');
+            n_eff_input.classList.add('is-invalid');
+            return;
+        }
+        angle_input.classList.remove('is-invalid');
+        n_eff_input.classList.remove('is-invalid');
+
+        // Only keep values that differ from the filter design, so
+        // that they only get saved in a setup if needed.
+        this._filterstack.setElemAngle(
+            i,
+            angle === filter.design_angle ? undefined : angle,
+            n_eff === filter.effective_index ? undefined : n_eff
+        );
+    }
+
+    removeFilter(i) {
+        this._filterstack.removeElem(i);
+    }
+}
+
+
+// Edits the bands of the spectral selection on either path of a
+// Setup.  See SpectralSelectionFilter.
+//
+// Each path has at most one spectral selection, the first on the
+// path, with any number of bands.  Adding a band to a path without
+// one adds a new spectral selection, and removing its last band
+// removes it from the path.
+class SpectralSelectionView
+{
+    constructor(el, setup) {
+        this._el = el;
+        this._setup = setup;
+
+        this._path = el.querySelector('#spectral-path');
+        const table = el.querySelector('#spectral-bands');
+        this._tbody = table.querySelector('tbody');
+        this._template = table.querySelector('template').content;
+
+        this._path.addEventListener('change', this.render.bind(this));
+        el.querySelector('#spectral-add-band').addEventListener(
+            'click', this.addBand.bind(this)
+        );
+        this._setup.on('change', this.render, this);
+    }
+
+    get
+    path_name() {
+        return this._path.value;
+    }
+
+    // Index of the spectral selection on a path, -1 if there is none.
+    _indexOf(path_name) {
+        return this._setup[path_name].map(
+            x => x.filter instanceof SpectralSelectionFilter
+        ).indexOf(true);
+    }
+
+    // The spectral selection on a path, or null if there is none.
+    filterOf(path_name) {
+        const i = this._indexOf(path_name);
+        return i === -1 ? null : this._setup[path_name].getElem(i).filter;
+    }
+
+    // Replace the bands of the spectral selection on a path, adding
+    // or removing the spectral selection if needed.
+    setBands(path_name, bands) {
+        const path = this._setup[path_name];
+        const i = this._indexOf(path_name);
+        if (bands.length === 0) {
+            if (i !== -1)
+                path.removeElem(i);
+        } else {
+            const filter = new SpectralSelectionFilter(bands, path.sampling);
+            if (i === -1)
+                path.push({filter: filter, mode: 't'});
+            else
+                path.setElemFilter(i, filter);
+        }
+    }
+
+    render() {
+        this._tbody.textContent = '';
+        const filter = this.filterOf(this.path_name);
+        if (filter === null)
+            return;
+
+        filter.bands.forEach((function(band, i) {
+            const row = document.importNode(this._template, true);
+            for (let key of ['min', 'max', 'edge', 'peak']) {
+                const input = row.querySelector(`input[name=${ key }]`);
+                input.value = key === 'peak' ? band.peak * 100 : band[key];
+                input.addEventListener('change', this.handleChange.bind(this));
+            }
+            row.querySelector('button.close').addEventListener(
+                'click', this.removeBand.bind(this, i)
+            );
+            this._tbody.appendChild(row);
+        }).bind(this));
+    }
+
+    // The bands from the table rows.
+    _bands() {
+        return Array.from(this._tbody.querySelectorAll('tr'), function(row) {
+            const value = (key) => parseFloat(row.querySelector(`input[name=${ key }]`).value);
+            return {
+                min: value('min'),
+                max: value('max'),
+                edge: value('edge'),
+                peak: value('peak') / 100.0,
+            };
+        });
+    }
+
+    handleChange() {
+        const bands = this._bands();
+        const inputs = this._tbody.querySelectorAll('input');
+        if (! new SpectralSelectionFilter(bands, this._setup.sampling).isValid()) {
+            for (let input of inputs)
+                input.classList.add('is-invalid');
+            return;
+        }
+        for (let input of inputs)
+            input.classList.remove('is-invalid');
+        this.setBands(this.path_name, bands);
+    }
+
+    // A new band, after the last band, if any, so that they do not
+    // overlap.
+    addBand() {
+        const filter = this.filterOf(this.path_name);
+        const bands = filter === null ? [] : filter.bands.slice();
+        const last_max = bands.length ? bands[bands.length -1].max : 450;
+        const min = Math.min(last_max + 50, 900);
+        bands.push({min: min, max: min + 50});
+        this.setBands(this.path_name, bands);
+    }
+
+    removeBand(i) {
+        const bands = this.filterOf(this.path_name).bands.slice();
+        bands.splice(i, 1);
+        this.setBands(this.path_name, bands);
+    }
+}
+
+
+// Controls the Sampling policy of a Setup.
+//
+// The policy is only that of the Setup.  Spectral selections on its
+// paths share it, see FilterStack.
+class SamplingView
+{
+    constructor(el, setup) {
+        this._el = el;
+        this._setup = setup;
+        // The policy also changes with the setup, see changeSetupTo.
+        this._setup.on('change', this.render, this);
+
+        this._step = el.querySelector('#sampling-step');
+        this._min = el.querySelector('#sampling-min');
+        this._max = el.querySelector('#sampling-max');
+        this._extrapolation = el.querySelector('#sampling-extrapolation');
+
+        for (let input of this._inputs())
+            input.addEventListener('change', this.handleChange.bind(this));
+    }
+
+    _inputs() {
+        return [this._step, this._min, this._max, this._extrapolation];
+    }
+
+    render() {
+        const sampling = this._setup.sampling;
+        this._step.value = sampling.step;
+        this._min.value = sampling.min === null ? '' : sampling.min;
+        this._max.value = sampling.max === null ? '' : sampling.max;
+        this._extrapolation.value = sampling.extrapolation;
+        for (let input of this._inputs())
+            input.classList.remove('is-invalid');
+    }
+
+    handleChange() {
+        // Empty range values mean the range of the data.
+        const parse = (x) => x === '' ? null : parseFloat(x);
+        const sampling = new Sampling({
+            step: parseFloat(this._step.value),
+            min: parse(this._min.value),
+            max: parse(this._max.value),
+            extrapolation: this._extrapolation.value,
+        });
+
+        if (! sampling.isValid()) {
+            for (let input of this._inputs())
+                input.classList.add('is-invalid');
+            return;
+        }
+        for (let input of this._inputs())
+            input.classList.remove('is-invalid');
+
+        this._setup.sampling = sampling;
+    }
+}
+
+
+// Controls the power and spot size of the excitation source of a
+// Setup.  Empty inputs use those of the Excitation, shown as their
+// placeholder.
+class SourcePowerView
+{
+    constructor(el, setup) {
+        this._el = el;
+        this._setup = setup;
+        this._setup.on('change', this.render, this);
+
+        this._power = el.querySelector('#source-power');
+        this._spot_size = el.querySelector('#source-spot-size');
+        for (let input of [this._power, this._spot_size])
+            input.addEventListener('change', this.handleChange.bind(this));
+    }
+
+    render() {
+        const excitation = this._setup.excitation;
+        for (let [input, name] of [[this._power, 'power'],
+                                   [this._spot_size, 'spot_size']]) {
+            const value = this._setup[name];
+            input.value = value === null ? '' : value;
+            input.placeholder = ((excitation === null
+                                  || excitation[name] === null)
+                                 ? 'none' : excitation[name]);
+            input.classList.remove('is-invalid');
+        }
+    }
+
+    handleChange() {
+        // Empty values mean those of the excitation.
+        const parse = (x) => x === '' ? null : parseFloat(x);
+        const power = parse(this._power.value);
+        const spot_size = parse(this._spot_size.value);
+
+        let valid = true;
+        for (let [input, value] of [[this._power, power],
+                                    [this._spot_size, spot_size]]) {
+            if (value === null || value > 0.0)
+                input.classList.remove('is-invalid');
+            else {
+                input.classList.add('is-invalid');
+                valid = false;
+            }
+        }
+        if (! valid)
+            return;
+
+        // Only assign what changed, each assignment triggers a
+        // change event.
+        if (this._setup.power !== power)
+            this._setup.power = power;
+        if (this._setup.spot_size !== spot_size)
+            this._setup.spot_size = spot_size;
+    }
+}
+
+
+// Controls the BrightnessReference of a Setup.
+//
+// The reference dye can be any dye in the collection, or none for
+// the built-in Alexa-488 value.  The reference is ignored, and its
+// controls disabled, with absolute units.
+class BrightnessReferenceView
+{
+    constructor(el, dyes, setup) {
+        this._el = el;
+        this._dyes = dyes;
+        this._setup = setup;
+
+        this._units = el.querySelector('#brightness-units');
+        this._dye = el.querySelector('#brightness-reference-dye');
+        this._mode = el.querySelector('#brightness-reference-mode');
+
+        // Dyes are read asynchronously, so only apply the last
+        // requested change.
+        this._last_change = 0;
+
+        for (let input of this._inputs())
+            input.addEventListener('change', this.handleChange.bind(this));
+        this._dyes.on('add', this.renderDyes, this);
+        this._setup.on('change', this.render, this);
+    }
+
+    _inputs() {
+        return [this._units, this._dye, this._mode];
+    }
+
+    renderDyes() {
+        const selected = this._dye.value;
+        this._dye.textContent = '';
+        const builtin = document.createElement('option');
+        builtin.value = '';
+        builtin.textContent = 'Alexa-488 (built-in)';
+        this._dye.appendChild(builtin);
+        for (let uid of this._dyes.keys()) {
+            const option = document.createElement('option');
+            option.value = uid;
+            option.textContent = uid;
+            this._dye.appendChild(option);
+        }
+        this._dye.value = selected;
+    }
+
+    render() {
+        const reference = this._setup.brightness_reference;
+        this._units.value = reference.units;
+        this._dye.value = reference.dye === null ? '' : reference.dye.uid;
+        this._mode.value = reference.mode;
+        const absolute = reference.units === 'absolute';
+        this._dye.disabled = absolute;
+        this._mode.disabled = absolute;
+        for (let input of this._inputs())
+            input.classList.remove('is-invalid');
+    }
+
+    handleChange() {
+        const change_id = ++this._last_change;
+        const json = {
+            dye: this._dye.value === '' ? null : this._dye.value,
+            mode: this._mode.value,
+            units: this._units.value,
+        };
+        BrightnessReference.fromJSON(json, this._dyes).then((function(reference) {
+            if (change_id !== this._last_change)
+                return;
+            if (! reference.isValid()) {
+                for (let input of this._inputs())
+                    input.classList.add('is-invalid');
+                return;
+            }
+            this._setup.brightness_reference = reference;
+        }).bind(this));
+    }
+}
+
+
+// Displays the blocking, in optical density, of both paths of a
+// Setup at a specific wavelength.
+//
+// If the user does not choose a wavelength, it uses the peak of the
+// excitation source, i.e., the laser line.
+class BlockingView
+{
+    constructor(el, setup) {
+        this._el = el;
+        this._setup = setup;
+
+        this._wavelength = el.querySelector('#blocking-wavelength');
+        this._report = el.querySelector('#blocking-report');
+
+        this._wavelength.addEventListener('change', this.render.bind(this));
+        this._setup.on('change', this.render, this);
+    }
+
+    // Wavelength selected by the user, or the peak of the excitation
+    // source.  Null if there is neither.
+    get
+    wavelength() {
+        const val = parseFloat(this._wavelength.value);
+        if (! isNaN(val))
+            return val;
+        else if (this._setup.excitation !== null)
+            return this._setup.excitation.intensity.peak_wavelength;
+        else
+            return null;
+    }
+
+    // Optical density as a String, 'no data' if it is unknown.
+    static
+    formatOD(od) {
+        if (od === null)
+            return 'no data';
+        return od === Infinity ? '∞' : od.toFixed(1);
+    }
+
+    // Like formatOD but with the units, e.g., 'OD 6.0'.
+    static
+    formatWithUnits(od) {
+        const text = BlockingView.formatOD(od);
+        return od === null ? text : 'OD ' + text;
+    }
+
+    render() {
+        const wavelength = this.wavelength;
+        this._wavelength.placeholder = (this._setup.excitation !== null
+                                        ? wavelength : 'nm');
+        this._report.textContent = '';
+        if (wavelength === null)
+            return;
+
+        for (let [path_name, label] of [['ex_path', 'Excitation path'],
+                                         ['em_path', 'Emission path']]) {
+            const path = this._setup[path_name];
+            const blocking = path.blocking(wavelength);
+
+            const dt = document.createElement('dt');
+            dt.textContent = `${ label }: ${ BlockingView.formatWithUnits(blocking.od) }`;
+            const dd = document.createElement('dd');
+            for (let x of blocking.elements) {
+                const line = document.createElement('div');
+                line.textContent = `${ x.uid } (${ x.mode }): ${ BlockingView.formatWithUnits(x.od) }`;
+                dd.appendChild(line);
+            }
+            this._report.appendChild(dt);
+            this._report.appendChild(dd);
+        }
+    }
+}
+
+
+// Selects the state of dyes with multiple states.  Hidden for dyes
+// with a single state.
+class DyeStateView
+{
+    constructor(el, setup) {
+        this._el = el;
+        this._setup = setup;
+
+        this._select = el.querySelector('#dye-state-selector');
+
+        this._select.addEventListener('change', this.handleChange.bind(this));
+        this._setup.on('change', this.render, this);
+    }
+
+    render() {
+        const dye = this._setup.dye;
+        if (dye === null || dye.states === null) {
+            this._el.setAttribute('hidden', '');
+            return;
+        }
+        this._select.textContent = '';
+        for (let name of dye.state_names) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this._select.appendChild(option);
+        }
+        this._select.value = dye.state;
+        this._el.removeAttribute('hidden');
+    }
+
+    handleChange() {
+        this._setup.dye = this._setup.dye.inState(this._select.value);
+    }
+}
+
+
+// Controls the customisation of the FilterStack.
+//
+// There must be three ul elements inside $el with the following ids:
+//    #filters
+//    #ex-path
+//    #em-path
+//
+// Args:
+//     $el: jquery for the builder div
+//     filters (DataCollection<Filter>):
+//     setup (Setup):
+class PathBuilder
+{
+    constructor(el, filters, setup) {
+        this.el = el;
+        this.filters = filters;
+        this.setup = setup;
+
+        const cols = {
+            'filters': el.querySelector('#filters-view'),
+            'ex_path': el.querySelector('#ex-path'),
+            'em_path': el.querySelector('#em-path'),
+            'spectral_selection': el.querySelector('#spectral-selection'),
+            'sampling': el.querySelector('#sampling'),
+            'blocking': el.querySelector('#blocking'),
+        };
+
+        const in_collection_template = this._li_template('collection-filters');
+        const in_path_template = this._li_template('path-filters');
+        this.views = {
+            'filters': new CollectionViewB(cols.filters.querySelector('ul'),
+                                           filters, in_collection_template,
+                                           cols.filters.querySelector('#filters-search'),
+                                           cols.filters.querySelector('#filters-group')),
+            'ex_path': new FilterStackView(cols.ex_path.querySelector('ul'),
+                                           setup.ex_path, in_path_template),
+            'em_path': new FilterStackView(cols.em_path.querySelector('ul'),
+                                           setup.em_path, in_path_template),
+        };
+
+        this.spectral_selection = new SpectralSelectionView(
+            cols.spectral_selection,
+            setup
+        );
+
+        this.sampling = new SamplingView(cols.sampling, setup);
+        this.blocking = new BlockingView(cols.blocking, setup);
+
+        // The ondragover action is for the div with the column, not
+        // for the list.  Otherwise we can't drop if the list is
+        // empty.
+        cols.ex_path.ondragover = this.handleDragOver.bind(this);
+        cols.em_path.ondragover = this.handleDragOver.bind(this);
+
+        cols.ex_path.ondrop = this.handleDrop.bind(this, 'ex_path');
+        cols.em_path.ondrop = this.handleDrop.bind(this, 'em_path');
+
+        // The builder starts collapsed, so only read the filters for
+        // their metadata when it is first shown.
+        $(el).one('show.bs.collapse',
+                  () => this.views.filters.showMetadata());
+    }
+
+    _li_template(id) {
+        const template_node = this.el.querySelector(`template#${ id }`);
+        return template_node.content.querySelector('li');
+    }
+
+    render() {
+        for (let v of Object.values(this.views))
+            v.render();
+        this.spectral_selection.render();
+        this.sampling.render();
+        this.blocking.render();
+    }
+
+    handleDragOver(ev) {
+        ev.preventDefault();
+        ev.dataTransfer.dropEffect = 'copy';
+    }
+
+    handleDrop(path_name, ev) {
+        const uid = ev.dataTransfer.getData('text/plain');
+        if (! this.filters.has(uid)) {
+            console.error(`no filter with uid ${ uid }.  Ignoring`);
+            return;
+        }
+        ev.preventDefault();
+
+        const setup = this.setup;
+        this.filters.get(uid).then(
+            f => setup[path_name].push({'filter': f, 'mode': 't'})
+        );
+    }
+}
+
+
+class SetupPlot extends View
+{
+    constructor($el, setup) {
+        super($el);
+        this.setup = setup;
+        this.plot = new Chart(this.$el[0].getContext('2d'), {
+            type: 'scatter',
+            data: {
+                datasets: [],
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                showLines: true,
+                scales: {
+                    x: {
+                        scaleLabel: {
+                            display: true,
+                            labelString: 'Wavelength (nm)',
+                        },
+                        ticks: {
+                            suggestedMin: 380,
+                            suggestedMax: 1000,
+                            // Seems like we only want to show this
+                            // range, even if we have spectrum data
+                            // beyond it.
+                            min: 300,
+                            max: 1000,
+                        },
+                    },
+                    y: {
+                        ticks: {
+                            beginAtZero: true,
+                            min: 0,
+                            max: 1,
+                        },
+                    },
+                },
+            },
+        });
+        this.setup.on('change', this.render, this);
+
+        // Keep a cache of individual Spectrum objects, as ready to
+        // use Chartjs datasets.
+        this._dataset_cache = new WeakMap;
+    }
+
+    // Convert Spectrum instance into a dataset model for Chartjs.
+    //
+    // Args:
+    //     spectrum (Spectrum):
+    //     options (Object): this will be added to the dataset object
+    //         created from 'spectrum'.  It can also be used to
+    //         override other options.  It is mainly used to set the
+    //         label used.  It can also be used to change the colour.
+    asChartjsDataset(spectrum, options = {}) {
+        if (! this._dataset_cache.has(spectrum)) {
+
+            // In Chrome, lines outside the range of the x Axis appear
+            // as weird horizontal lines.  See issue #73.  So we crop
+            // the data for the displayed range.
+            const x_min = this.plot.options.scales.x.ticks.min;
+            const x_max = this.plot.options.scales.x.ticks.max;
+            let i_first = spectrum.wavelength.findIndex(x => x >= x_min);
+            let i_last = spectrum.wavelength.findIndex(x => x > x_max);
+            if (i_first === -1)
+                i_first = 0;
+            if (i_last === -1)
+                i_last = spectrum.wavelength.length -1;
+
+            const points = new Array(i_last - i_first);
+            for (let i = 0; i < points.length; i++)
+                points[i] = {
+                    x: spectrum.wavelength[i_first+i],
+                    y: spectrum.data[i_first+i]
+                };
+
+            const rgb = SetupPlot.wavelengthToRGB(spectrum.peak_wavelength);
+            const rgb_str = rgb.join(',');
+
+            const bg_colour = `rgba(${ rgb_str }, 0.2)`;
+            const line_colour = `rgba(${ rgb_str }, 1.0)`;
+            const chartjs_dataset = {
+                data: points,
+		showLine: true,
+		fill: true,
+                backgroundColor: bg_colour,
+                borderColor: line_colour,
+                pointRadius: 0.0, // show the line only, not the datapoints
+                borderWidth: 0.25,
+            };
+            this._dataset_cache.set(spectrum, chartjs_dataset);
+        }
+        const dataset = this._dataset_cache.get(spectrum);
+        return Object.assign({}, dataset, options);
+    }
+
+    // Two-photon excitation and spectra are in the near infrared so
+    // the displayed range is extended for them.  The cached datasets
+    // are cropped to the displayed range so they must be dropped
+    // when it changes.
+    _updateRange() {
+        const dye = this.setup.dye;
+        const x_max = (this.setup.two_photon
+                       || (dye !== null && dye.two_photon !== null))
+              ? 1300 : 1000;
+        const ticks = this.plot.options.scales.x.ticks;
+        if (ticks.max !== x_max) {
+            ticks.max = x_max;
+            this._dataset_cache = new WeakMap;
+        }
+    }
+
+    render() {
+        this._updateRange();
+        const datasets = [];
+
+        // We don't draw filters from the excitation path.  We don't
+        // even have then hidden by default (which we could do by
+        // passing {'hidden': true} in the dataset options.  This is
+        // by design.  On the other hand, the spectrum of the
+        // excitation spectrum will already appear scaled, so the
+        // spectrum of the excitation will appear modelled in the
+        // modified spectrum of the source.
+
+        if (this.setup.detector !== null) {
+            const detector = this.setup.detector;
+            const options = {
+                label: detector.uid,
+            };
+            datasets.push(this.asChartjsDataset(detector.qe, options));
+        }
+
+        if (this.setup.objective !== null) {
+            const objective = this.setup.objective;
+            const options = {
+                label: objective.uid,
+            };
+            datasets.push(this.asChartjsDataset(objective.transmission,
+                                                options));
+        }
+
+        if (this.setup.background !== null) {
+            const background = this.setup.background;
+            datasets.push(this.asChartjsDataset(background.absorption,
+                                                {label: background.uid + '(abs)'}));
+            datasets.push(this.asChartjsDataset(background.emission,
+                                                {label: background.uid + '(em)'}));
+        }
+
+        for (let x of this.setup.em_path) {
+            const angle = x.angle === undefined ? '' : `, ${ x.angle }°`;
+            const options = {
+                label: `${ x.filter.uid } (${ x.mode }${ angle })`
+            };
+            datasets.push(this.asChartjsDataset(FilterStack.elemSpectrum(x),
+                                                options));
+        }
+
+        if (this.setup.excitation !== null) {
+
+            // Excitation, together with Dye, is the thing that
+            // matters the most to the user, so don't make it
+            // transparent like the filters.
+            const intensity = this.setup.excitation.intensity;
+            const rgb = SetupPlot.wavelengthToRGB(intensity.peak_wavelength);
+            const rgb_str = rgb.join(',');
+            const options = {
+                label: this.setup.excitation.uid,
+                backgroundColor: `rgba(${ rgb_str }, 1.0)`,
+                borderColor: `rgba(${ rgb_str }, 1.0)`,
+                borderWidth: 2.0,
+            };
+            // We don't display the spectrum of the excitation source,
+            // we display the spectrum of the excitation source that
+            // gets transmitted.
+            const transmission = this.setup.ex_transmission;
+            datasets.push(this.asChartjsDataset(transmission, options));
+        }
+
+        if (this.setup.dye !== null) {
+            const dye = this.setup.dye;
+            datasets.push(this.asChartjsDataset(dye.absorption,
+                                                {label: dye.uid + '(abs)'}));
+            datasets.push(this.asChartjsDataset(dye.emission,
+                                                {label: dye.uid + '(em)'}));
+            // The two-photon spectrum is in GM, so display it
+            // relative to its peak like the other spectra.
+            if (dye.two_photon !== null)
+                datasets.push(this.asChartjsDataset(dye.two_photon_relative,
+                                                    {label: dye.uid + '(2P)'}));
+            if (dye.activation !== null)
+                datasets.push(this.asChartjsDataset(dye.activation,
+                                                    {label: dye.uid + '(act)'}));
+
+            // If there are filters on the emission path, or an
+            // objective, also show the transmitted spectrum of the
+            // dye.  This is the thing that users care the most so
+            // don't make it transparent like the others, and make the
+            // border thicker and dark.
+            if (this.setup.em_path.length !== 0
+                || this.setup.objective !== null) {
+                const transmission = this.setup.em_transmission;
+                const rgb = SetupPlot.wavelengthToRGB(transmission.peak_wavelength);
+                const options = {
+                    label: this.setup.dye.uid + '(transmitted)',
+                    backgroundColor: `rgba(${ rgb.join(',') }, 1.0)`,
+                    borderColor: 'rgba(0, 0, 0, 0.5)',
+                    borderWidth: 2.0,
+                };
+                datasets.push(this.asChartjsDataset(transmission, options));
+            }
+        }
+
+        // We use the title to place the efficiency values, so there's
+        // no title if there's no dye.
+        if (this.setup.dye === null)
+            Object.assign(this.plot.options.plugins.title,
+                          {display: false, text: ''});
+        else
+            Object.assign(this.plot.options.plugins.title,
+                          this.formatTitle());
+
+        // Reverse the datasets.  First elements appear on top of the
+        // plot but we got this far expecting the other way around.
+        // This is specially noticeable on the transmitted spectra
+        // which will look kinda washed out if not plotted on top.
+        this.plot.data.datasets = datasets.reverse();
+        this.plot.update();
+    }
+
+    // Object to configure Chartjs title option.
+    formatTitle() {
+        const eff2str = (eff) => (eff*100).toFixed(1) + '%';
+        const dye = this.setup.dye;
+        const dye_name = dye.state === null ? dye.uid : `${ dye.uid } [${ dye.state }]`;
+
+        // The things that will appear on the title.
+        const info = [];
+
+        if (this.setup.excitation !== null) {
+            const ex_name = this.setup.two_photon ? '2P ex=' : 'ex=';
+            if (isNaN(this.setup.ex_efficiency))
+                info.push(ex_name + 'n/a');
+            else
+                info.push(ex_name + eff2str(this.setup.ex_efficiency));
+        }
 
-    on() {
-        return this.$el.on(...arguments);
-    }
+        info.push('em=' + eff2str(this.setup.em_efficiency));
 
-    val() {
-        return this.$el.val(...arguments);
-    }
+        if (this.setup.excitation !== null && ! isNaN(this.setup.brightness))
+            info.push('brightness=' + this.setup.brightness_reference.format(
+                this.setup.brightness, this.setup
+            ));
 
-    $(selector) {
-        return $(this.$el.find(selector));
+        if (! isNaN(this.setup.sbr))
+            info.push('SBR=' + this.setup.sbr.toFixed(2));
+
+        if (this.setup.excitation !== null && ! isNaN(this.setup.saturation))
+            info.push('saturation=' + eff2str(this.setup.saturation));
+
+        if (this.setup.excitation !== null
+            && ! isNaN(this.setup.activation_efficiency))
+            info.push('activation=' + eff2str(this.setup.activation_efficiency));
+
+        const title = {
+	    font: { size: 24},
+            display: true,
+            text: `${ dye_name } efficiency: ${ info.join(', ') }`,
+        };
+
+        return title;
     }
 
-    render() {
-        return this.$el.html(this.toHTML());
+    downloadLink(format='image/png') {
+        return this.$el[0].toDataURL(format);
     }
 
-    // Subclasses should overload this method which is called by render.
-    toHTML() {
-        throw new Error('toHTML method not implemented in View subclass');
+    // Converted to javascript from Octave's wavelength2rgb
+    // http://hg.code.sf.net/p/octave/image/file/590aa72e3880/inst/wavelength2rgb.m
+    static
+    wavelengthToRGB(wavelength, gamma=0.8) {
+        let rgb;
+	if (wavelength > 780)
+	    wavelength = 780-(wavelength -780) 
+        if (wavelength < 380.0)
+            rgb = [0.0, 0.0, 0.0];
+        else if (wavelength < 440.0)
+            rgb = [-(wavelength-440.0)/60.0, 0.0, 1.0];
+        else if (wavelength < 490.0)
+            rgb = [0.0, (wavelength-440.0)/50.0, 1.0];
+        else if (wavelength < 510.0)
+            rgb = [0.0, 1.0, -(wavelength-510.0)/20.0];
+        else if (wavelength < 580.0)
+            rgb = [(wavelength-510.0)/70.0, 1.0, 0.0];
+        else if (wavelength < 645.0)
+            rgb = [1.0, -(wavelength-645.0)/65.0, 0.0];
+        else if (wavelength < 780.0)
+            rgb = [1.0, 0.0, 0.0];
+        else
+            rgb = [0.0, 0.0, 0.0];
+
+        // Let intensity fall off near the vision limits.
+        let factor;
+        if (wavelength < 420.0)
+            factor = 0.3 + 0.7 * (wavelength - 380.0) / 40.0;
+        else if (wavelength <= 700.0)
+            factor = 1.0;
+        else // (wavelength > 700.0)
+            factor = 0.3 + 0.7 * (780.0 - wavelength) / 80.0;
+
+        rgb = rgb.map(x => Math.round(255.0 * ((x * factor) ** gamma)));
+        return rgb;
     }
 }
 
-class CollectionView extends View
+
+class ImportDialog extends View
 {
-    constructor($el, collection) {
+    constructor($el, local) {
         super($el);
-        this.collection = collection;
-        for (let change of ['clear', 'delete', 'change', 'add'])
-             this.collection.on(change, this.render, this);
-    }
+        this.local = local; // LocalStore, where imported data is kept
 
-    toHTML() {
-        const uids = Array.from(this.collection.keys());
-        const html = uids.map(uid => this.itemHTML(uid));
-        return html;
-    }
+        this._$name = $el.find('#file-name');
+        this._$file_type = $el.find('#file-type');
+        this._$file_format = $el.find('#file-format');
+        this._$file_input = $el.find('#file-selector');
+        this._$file_label = $el.find('.custom-file-label');
+        this._$preview = $el.find('#file-preview');
+        this._$import_button = $el.find('#import-button');
+        this._$failure = $el.find('#failure');
 
-    // Subclasses should overload this.
-    itemHTML(uid) {
-        return uid;
-    }
-}
+        // Text of the selected file, and what was read from it.
+        this._text = null;
+        this._imported = null;
 
-// Displays a Collection as option lists in a select menu with an
-// empty entry at the top.  Used to select a Setup, Detector, Dye, and
-// Excitation.
-class SelectView extends CollectionView
-{
-    constructor($el, collection) {
-        super($el, collection);
-        this._blank = this.itemHTML('');
-    }
+        for (let format of Object.keys(Data.importers))
+            this._$file_format.append(
+                $('<option>').val(format).text(Data.importers[format].name)
+            );
 
-    toHTML() {
-        // Prepend an empty string to the list of uids to be used as
-        // selecting none.
-        const options_html = super.toHTML();
-        return [this._blank].concat(options_html);
+        this.$el.on('show.bs.modal', this.reset.bind(this));
+        this._$import_button.on('click', this.import.bind(this));
+        this._$file_input.on('change', this.selectFile.bind(this));
+        this._$file_type.on('change', this.preview.bind(this));
+        this._$file_format.on('change', this.preview.bind(this));
     }
 
-    // Append a new item to the View.  We append and we really do not
-    // want to be sorting them.  This happens when a user imports a
-    // new dye or saves a new setup, and we want them at the end so
-    // it's easy to find them and distinguish from the default
-    // options.
-    append(uid, model) {
-        this.$el.append(this.itemHTML(uid));
-    }
+    reset() {
+        this._$failure.attr('hidden', '');
 
-    itemHTML(uid) {
-        return `<option value="${ uid }">${ uid }</option>\n`;
+        this._$name.val(''); // Maybe we shouldn't reset the name?
+
+        // Don't empty the filelist so that selecting a new file will
+        // start where the last one was selected from.
+        const filelist = this._$file_input[0].files;
+        if (filelist.length !== 0)
+            this._$file_label.text(filelist[0].name);
+        this.preview();
     }
-}
 
+    // Read the selected file, and preview it.
+    selectFile() {
+        const file = this._$file_input[0].files[0];
+        this._text = null;
+        this.preview();
+        if (! (file instanceof File))
+            return;
+        this._$file_label.text(file.name);
 
-// Displays the elements in a Collection as list-group-item.  To view
-// and not select.  Used to show the list of Filters available in the
-// FilterStackBuilder GUI.
-//
-// TODO: special case for now, but we should be redoing the parent
-//   classes to use nodes with the template
-class CollectionViewB
-{
-    constructor(el, collection, template) {
-        this._el = el;
-        this._collection = collection;
-        this._template = template;
+        const reader = new FileReader;
 
-        // TODO: the collection class should have a change event for
-        // all that and the event object should then specify which of
-        // this changes types actually happened.
-        for (let change of ['clear', 'delete', 'change', 'add'])
-            this._collection.on(change, this.render, this);
+        reader.onload = (function() {
+            this._text = reader.result;
+            this.preview();
+        }).bind(this);
+
+        reader.onerror = (function(ev) {
+            this.showFailure(ev.message);
+        }).bind(this);
+
+        reader.readAsText(file);
     }
 
-    render() {
-        this._el.textContent = '';
-        for (let uid of this._collection.keys())
-            this._el.appendChild(this.itemNode(uid));
-        return this._el;
+    // Read the file as the selected type of data and format, and show
+    // what was read from it or why it can not be read.
+    preview() {
+        this._imported = null;
+        this._$failure.attr('hidden', '');
+        this._$preview.empty();
+        if (this._text === null)
+            return;
+
+        const cls = ImportDialog.data_classes[this._$file_type.val()];
+        const format = this._$file_format.val() || null;
+        try {
+            this._imported = cls.importFromText(
+                this._text, {'uid': this._$name.val()}, format
+            );
+        } catch (e) {
+            this.showFailure(e.message);
+            return;
+        }
+        this._$preview.append(ImportDialog.previewNode(this._imported));
     }
 
-    itemNode(uid) {
-        const node = document.importNode(this._template, true);
-        node.textContent = uid;
-        node.ondragstart = this.handleDragStart;
-        return node;
+    // TODO: might not be a bad idea to use bootstrap form validation.
+    import() {
+        const type = this._$file_type.val();
+        if (! ImportDialog.data_classes.hasOwnProperty(type))
+            throw new Error(`invalid data type ${ type } selected`);
+
+        const name = this._$name.val();
+        if (! name) {
+            this.showFailure('Name is required');
+            return;
+        }
+        if (this._text === null) {
+            this.showFailure('File is required');
+            return;
+        }
+        if (this._imported === null)
+            return; // the failure to read it is already shown
+
+        // Files in other formats are kept in our own format, so that
+        // the text of the data is always one we can read.
+        const {format, data} = this._imported;
+        let kept;
+        try {
+            kept = this.local.add(type, name, format === 'native'
+                                  ? this._text : data.toText());
+        } catch (e) {
+            this.showFailure(e.message);
+            return;
+        }
+        kept.then(
+            () => this.$el.modal('hide'),
+            (e) => this.showFailure(`imported but not kept: ${ e.message }`)
+        );
     }
 
-    handleDragStart(ev) {
-        ev.dataTransfer.setData('text/plain', ev.target.textContent);
-        ev.dataTransfer.effectAllowed = 'copy';
+    showFailure(text) {
+        this._$failure.text(text);
+        this._$failure.removeAttr('hidden');
     }
-}
 
+    // The format, metadata, header values, and range of the spectra
+    // read from a file, followed by any warnings and a plot of the
+    // spectra.
+    //
+    // Args:
+    //     imported (Object): as returned by Data.importFromText.
+    static
+    previewNode(imported) {
+        const data = imported.data;
+        const node = document.createElement('div');
+        const list = document.createElement('dl');
+        list.className = 'row small mb-0';
+        const addItem = function(term, description, colour=null) {
+            const dt = document.createElement('dt');
+            dt.className = 'col-sm-4';
+            dt.textContent = term;
+            if (colour !== null)
+                dt.style.color = colour;
+            const dd = document.createElement('dd');
+            dd.className = 'col-sm-8 mb-0';
+            dd.textContent = description;
+            list.append(dt, dd);
+        };
 
-// Displays a FilterStack, one of the two paths which compose a Setup.
-class FilterStackView
-{
-    constructor(el, filterstack, template) {
-        this._el = el;
-        this._filterstack = filterstack;
-        this._template = template;
+        addItem('Format', Data.importers[imported.format].name);
+        for (let line of data.metadata_lines) {
+            const i = line.indexOf(': ');
+            addItem(line.slice(0, i), line.slice(i + 2));
+        }
+        for (let [key, p_name] of data.constructor.prototype.header_map)
+            if (data[p_name] !== null)
+                addItem(key, String(data[p_name]));
+
+        const spectra = data.constructor.prototype.properties.concat(
+            data.constructor.prototype.optional_properties
+        ).filter(p => data[p] instanceof Spectrum).map(p => [p, data[p]]);
+        spectra.forEach(function([p_name, spectrum], i) {
+            const wavelength = spectrum.wavelength;
+            addItem(p_name, `${ wavelength[0] }–${ wavelength[spectrum.length -1] }`
+                    + ` nm, ${ spectrum.length } points`,
+                    ImportDialog.preview_colours[i % ImportDialog.preview_colours.length]);
+        });
 
-        this._filterstack.on('change', this.render, this);
+        node.append(list);
+        for (let warning of imported.warnings) {
+            const alert = document.createElement('div');
+            alert.className = 'alert alert-warning small py-1 my-1';
+            alert.setAttribute('role', 'alert');
+            alert.textContent = warning;
+            node.append(alert);
+        }
+        node.append(ImportDialog.plotNode(spectra.map(x => x[1])));
+        return node;
     }
 
-    render() {
-        this._el.textContent = '';
-        for (let i = 0; i < this._filterstack.length; i++)
-            this._el.appendChild(this.itemNode(i));
-        return this._el;
+    // A SVG plot of the spectra, in the [0 1] interval.
+    static
+    plotNode(spectra) {
+        const [width, height] = [400, 120];
+        const first = Math.min(...spectra.map(x => x.wavelength[0]));
+        const last = Math.max(...spectra.map(x => x.wavelength[x.length -1]));
+        const ns = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(ns, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${ width } ${ height }`);
+        svg.setAttribute('class', 'w-100 border');
+        spectra.forEach(function(spectrum, i) {
+            const points = [];
+            for (let j = 0; j < spectrum.length; j++) {
+                const x = (spectrum.wavelength[j] - first) / (last - first) * width;
+                const y = (1.0 - Math.min(spectrum.data[j], 1.0)) * height;
+                points.push(`${ x.toFixed(1) },${ y.toFixed(1) }`);
+            }
+            const line = document.createElementNS(ns, 'polyline');
+            line.setAttribute('points', points.join(' '));
+            line.setAttribute('fill', 'none');
+            line.setAttribute('stroke', ImportDialog.preview_colours[
+                i % ImportDialog.preview_colours.length
+            ]);
+            svg.append(line);
+        });
+        return svg;
     }
+}
 
-    // A Node for a filter in the filterstack.
-    //
-    // Args:
-    //     i(Integer): index into the filterstack.  We need the index
-    //         because we need unique names
-    itemNode(i) {
-        const uid = this._filterstack._stack[i].filter.uid;
-        const mode = this._filterstack._stack[i].mode;
+// The Data class of each type of data that can be imported.
+ImportDialog.data_classes = {
+    detector: Detector,
+    dye: Dye,
+    excitation: Excitation,
+    filter: Filter,
+    objective: Objective,
+    background: Background,
+};
 
-        const node = document.importNode(this._template, true);
-        node.querySelector('span#filter-name').textContent = uid;
+// Colours of the spectra on the preview of imported files.
+ImportDialog.preview_colours = ['#1f77b4', '#d62728', '#2ca02c', '#9467bd'];
 
-        // We have two labels, one for each radio button of
-        // transmission and reflection.  Because there's only two
-        // choices, we want to make them look like a switch slider.
-        // For that, we use bootstrap's btn-group-toggle class and
-        // listen for clicks on any of the buttons.  And not only do
-        // we change the 'active' class, we also switch between
-        // btn-primary and btn-secondary to have the blue/grey style.
-        const mode_switch = node.querySelector('#filter-mode-switch');
-        mode_switch.addEventListener(
-            'click',
-            this.toggleFilterMode.bind(this, i)
-        );
 
-        // Button for transmission is first, reflection is second.
-        // Maybe this shouldn't be hardcoded...
-        const checked_i = mode === 't' ? 0 : 1;
-        const labels = mode_switch.querySelectorAll('label');
-        labels[checked_i].querySelector('input').checked = true;
-        labels[checked_i].classList.remove('btn-secondary');
-        labels[checked_i].classList.add('btn-primary', 'active');
+class SaveSetupDialog extends View
+{
+    constructor($el, local, setup) {
+        super($el);
+        this.local = local; // LocalStore, where saved setups are kept
+        this.setup = setup; // Setup
 
-        // We drag and drop filters from the filter collection into
-        // the filter stack to add them.  We could drag filters out to
-        // remove them.  While that would be nice, seems like it's
-        // actually not that intuitive so we have a button.
-        const close = node.querySelector('button.close');
-        close.addEventListener('click', this.removeFilter.bind(this, i));
+        this._$name = $el.find('#setup-name');
+        this._$save_button = $el.find('#save-button');
+        this._$failure = $el.find('#failure');
+        this._$description = $el.find('#setup-description').find('code');
+        this._$link = $el.find('#setup-link');
+
+        this.$el.on('show.bs.modal', this.reset.bind(this));
+        this._$save_button.on('click', this.add.bind(this));
+    }
+
+    reset() {
+        this._$name.val('');
+        this._$failure.attr('hidden', '');
+        this._$description.html(JSON.stringify(this.setup.describe(), null, 2));
+        this._$link.attr('href', this.link);
+    }
 
-        return node;
+    // URL to the current setup, with its description on the hash.
+    // See SpekCheck.route_hash.
+    get
+    link() {
+        const description = JSON.stringify(this.setup.describe());
+        return (location.href.split('#')[0] + '#custom='
+                + encodeURIComponent(description));
     }
 
-    toggleFilterMode(i) {
-        this._filterstack.toggleElemMode(i);
+    add() {
+        const uid = this._$name.val().trim();
+        let kept;
+        if (! uid) {
+            this.showFailure('A name is required');
+            return;
+        } else {
+            try {
+                const description = this.setup.describe();
+                kept = this.local.add('setup', uid, description.toJSON());
+            } catch (e) {
+                this.showFailure(e.message);
+                return;
+            }
+        }
+        kept.then(
+            () => this.$el.modal('hide'),
+            (e) => this.showFailure(`saved but not kept: ${ e.message }`)
+        );
     }
 
-    removeFilter(i) {
-        this._filterstack.removeElem(i);
+    showFailure(text) {
+        this._$failure.text(text);
+        this._$failure.removeAttr('hidden');
     }
 }
 
 
-// UI view for controlling a spectral selection filter with sliders and text inputs.
-//
-// This manages a SpectralSelectionFilter that is applied to an emission path.
-// It provides:
-//   - Two sliders for min and max wavelengths
-//   - Two text input boxes for direct value entry
-//   - Toggle to enable/disable the spectral selection (add/remove from path)
-class SpectralSelectionView
+// Args:
+//     el (Element):
+//     dyes (DataCollection): the dyes to test.
+//     setup (Setup): the setup to test the dyes on.
+//     runner (BatchRunner): where to run the tests.
+class TestDyesDialog
 {
-    constructor(el, filterstack) {
-        this._el = el;
-        this._filterstack = filterstack;
-        this._filter = new SpectralSelectionFilter();
-        this._enabled = false;
-
-        // Get references to the input elements
-        this._min_slider = el.querySelector('#spectral-min-slider');
-        this._max_slider = el.querySelector('#spectral-max-slider');
-        this._min_input = el.querySelector('#spectral-min-input');
-        this._max_input = el.querySelector('#spectral-max-input');
-        this._enable_checkbox = el.querySelector('#spectral-enable');
-
-        // Set initial values
-        this._min_slider.value = this._filter.min_wavelength;
-        this._max_slider.value = this._filter.max_wavelength;
-        this._min_input.value = this._filter.min_wavelength;
-        this._max_input.value = this._filter.max_wavelength;
-
-        // Bind event listeners
-        this._min_slider.addEventListener('input', this.handleMinSliderChange.bind(this));
-        this._max_slider.addEventListener('input', this.handleMaxSliderChange.bind(this));
-        this._min_input.addEventListener('change', this.handleMinInputChange.bind(this));
-        this._max_input.addEventListener('change', this.handleMaxInputChange.bind(this));
-        this._enable_checkbox.addEventListener('change', this.handleToggle.bind(this));
-
-        // Listen for changes in the filterstack to detect when filter is removed
-        this._filterstack.on('change', this.handleFilterStackChange.bind(this));
-    }
-
-    handleMinSliderChange(ev) {
-        const val = parseFloat(ev.target.value);
-        // Prevent min from exceeding max
-        if (val >= this._filter.max_wavelength) {
-            ev.target.value = this._filter.min_wavelength;
-            return;
-        }
-        this._filter.min_wavelength = val;
-        this._min_input.value = val;
-        this.updateFilter();
-    }
+    constructor(el, dyes, setup, runner) {
+        this.dyes = dyes;
+        this.setup = setup;
+        this.runner = runner;
 
-    handleMaxSliderChange(ev) {
-        const val = parseFloat(ev.target.value);
-        // Prevent max from going below min
-        if (val <= this._filter.min_wavelength) {
-            ev.target.value = this._filter.max_wavelength;
-            return;
-        }
-        this._filter.max_wavelength = val;
-        this._max_input.value = val;
-        this.updateFilter();
-    }
+        this._progress = el.querySelector('#test-dyes-progress');
+        this._progress_bar = this._progress.querySelector('.progress-bar');
+        this.runner.on('progress', this.renderProgress.bind(this));
+        this._failure = el.querySelector('#failure');
 
-    handleMinInputChange(ev) {
-        const val = parseFloat(ev.target.value);
-        if (isNaN(val)) {
-            ev.target.value = this._filter.min_wavelength;
-            return;
-        }
-        if (val >= this._filter.max_wavelength) {
-            ev.target.value = this._filter.min_wavelength;
-            return;
-        }
-        this._filter.min_wavelength = val;
-        this._min_slider.value = val;
-        this.updateFilter();
+        // Get the template for the rows and the individual table cells.
+        const table = el.querySelector('table#test-dyes-results');
+        this._tbody = table.querySelector('tbody');
+        this._template = table.querySelector('template').content;
+        this._th = this._template.querySelector('th');
+        this._td = this._template.querySelectorAll('td');
+
+        // An array of Object with the dye testing results, which will
+        // then be used to render the table body.
+        this._results = [];
+
+        // Bootstrap uses jquery trigger() so we can't use
+        // addEventListener(), we need to use jQuery's on()
+        // https://stackoverflow.com/a/24212373
+        const $el = $(el);
+        $el.on('show.bs.modal', this.onShow.bind(this));
+        $el.on('hidden.bs.modal', this.onHidden.bind(this));
+
+        const thead_cells = table.querySelector('thead').querySelectorAll('th');
+        thead_cells[1].onclick = this.renderTBody.bind(this, 'ex_eff');
+        thead_cells[2].onclick = this.renderTBody.bind(this, 'em_eff');
+        thead_cells[3].onclick = this.renderTBody.bind(this, 'bright');
+        this._bright_th = thead_cells[3];
+        thead_cells[4].onclick = this.renderTBody.bind(this, 'sbr');
     }
 
-    handleMaxInputChange(ev) {
-        const val = parseFloat(ev.target.value);
-        if (isNaN(val)) {
-            ev.target.value = this._filter.max_wavelength;
-            return;
-        }
-        if (val <= this._filter.min_wavelength) {
-            ev.target.value = this._filter.max_wavelength;
+    onShow() {
+        this._results = [];
+        this._failure.setAttribute('hidden', '');
+        this.renderProgress(0, this.dyes.size);
+        this._progress.removeAttribute('hidden');
+
+        let updated;
+        try {
+            updated = this._updateResults();
+        } catch (e) {
+            this._progress.setAttribute('hidden', '');
+            this.showFailure(e.message);
             return;
         }
-        this._filter.max_wavelength = val;
-        this._max_slider.value = val;
-        this.updateFilter();
+
+        // With a background, what matters is the signal to
+        // background ratio and not the brightness.
+        const order = this.setup.background !== null ? 'sbr' : 'bright';
+        updated.then(
+            (function(completed) {
+                this._progress.setAttribute('hidden', '');
+                if (completed)
+                    this.renderTBody(order);
+            }).bind(this),
+            (function(err) {
+                this._progress.setAttribute('hidden', '');
+                this.showFailure(err.message);
+            }).bind(this)
+        );
     }
 
-    handleToggle(ev) {
-        if (ev.target.checked) {
-            this.enable();
-        } else {
-            this.disable();
-        }
+    onHidden() {
+        // Don't keep computing results that won't be displayed.
+        this.runner.cancel();
+        this._tbody.textContent = '';
     }
 
-    handleFilterStackChange() {
-        // Check if our filter is still in the filterstack
-        let filter_found = false;
-        for (let i = 0; i < this._filterstack._stack.length; i++) {
-            if (this._filterstack._stack[i].filter === this._filter) {
-                filter_found = true;
-                break;
-            }
-        }
+    // Promise of whether the results were updated, false if the
+    // computations were cancelled.
+    _updateResults() {
+        const reference = this.setup.brightness_reference;
+        const args = {
+            setup: this.setup.describe(),
+            sampling: this.setup.sampling,
+            dyes: Array.from(this.dyes.keys()),
+            reference: reference.toJSON(),
+        };
+        // The brightness units depend on the reference and on the
+        // setup, e.g., GM with two-photon excitation.
+        const units = reference.unitsOn(this.setup);
+        return this.runner.run('test-dyes', args).then((function(results) {
+            if (results === null)
+                return false;
 
-        // If filter was removed but checkbox is still checked, uncheck it
-        if (!filter_found && this._enabled) {
-            this._enabled = false;
-            this._enable_checkbox.checked = false;
-        }
+            this._bright_th.textContent = `Brightness (${ units }) \u25BC`;
+
+            // Create the table row nodes now, so that we can later
+            // resort the table without recomputing them.
+            for (let result of results) {
+                this._th.textContent = result.uid;
+                this._td[0].textContent = result.ex_eff.toFixed(2);
+                this._td[1].textContent = result.em_eff.toFixed(2);
+                this._td[2].textContent = (isNaN(result.bright)
+                                           ? '' : reference.formatValue(result.bright,
+                                                                       this.setup));
+                this._td[3].textContent = (isNaN(result.sbr)
+                                           ? '' : result.sbr.toFixed(2));
+                result.node = document.importNode(this._template, true);
+            }
+            this._results = results;
+            return true;
+        }).bind(this));
     }
 
-    enable() {
-        if (this._enabled)
-            return;
-        this._enabled = true;
-        this._enable_checkbox.checked = true;
-        // Add the filter to the emission path
-        this._filterstack.push({'filter': this._filter, 'mode': 't'});
+    renderProgress(done, total) {
+        const percent = total > 0 ? Math.round(100 * done / total) : 0;
+        this._progress_bar.style.width = percent + '%';
+        this._progress_bar.setAttribute('aria-valuenow', percent);
     }
 
-    disable() {
-        if (!this._enabled)
-            return;
-        this._enabled = false;
-        // Remove the filter from the emission path
-        // Find the index of our filter
-        for (let i = 0; i < this._filterstack._stack.length; i++) {
-            if (this._filterstack._stack[i].filter === this._filter) {
-                this._filterstack.removeElem(i);
-                break;
+    // Args:
+    //     order(String): property name used to order the results
+    //         table.  Must be a property on the 'results' Object.
+    renderTBody(order) {
+        this._tbody.textContent = ''; // remove all rows first
+
+        // Beware of NaN values if we are sorting by brightness
+        // because some dyes will be missing quantum yield and
+        // extinction coefficient values.
+        this._results.sort(function(a, b) {
+            let cmp = b[order] - a[order];
+            if (isNaN(cmp)) {
+                if (isNaN(a[order]) && isNaN(b[order]))
+                    cmp = 0.0;
+                else if (isNaN(a[order]))
+                    cmp = Infinity;
+                else // isNaN(b[order])
+                    cmp = -Infinity;
             }
-        }
-    }
 
-    updateFilter() {
-        // Trigger the filterstack to recalculate
-        // If already enabled, we need to reset the transmission cache and trigger a change
-        if (this._enabled) {
-            this._filterstack._resetTransmission();
-            this._filterstack.trigger('change');
-        }
+            // For the sake of sorting stability, take a look at the
+            // uids when the values are the same.
+            if (cmp === 0.0)
+                cmp = a.uid.localeCompare(b.uid);
+
+            return cmp;
+        });
+
+        for (let result of this._results)
+            this._tbody.appendChild(result.node.cloneNode(true));
     }
 
-    // Load spectral selection values from a setup definition
-    // Args:
-    //     spectral_def (Object): {filter: "spectral", mode: "t", min: number, max: number}
-    loadFromSetup(spectral_def) {
-        if (spectral_def.filter !== 'spectral')
-            return;
-        
-        // Set the wavelength values from the setup
-        this._filter.min_wavelength = spectral_def.min;
-        this._filter.max_wavelength = spectral_def.max;
-        
-        // Update UI controls
-        this._min_slider.value = spectral_def.min;
-        this._max_slider.value = spectral_def.max;
-        this._min_input.value = spectral_def.min;
-        this._max_input.value = spectral_def.max;
-        
-        // Enable the filter
-        this.enable();
+    showFailure(text) {
+        this._failure.textContent = text;
+        this._failure.removeAttribute('hidden');
     }
 }
 
 
-// Controls the customisation of the FilterStack.
-//
-// There must be three ul elements inside $el with the following ids:
-//    #filters
-//    #ex-path
-//    #em-path
+// Dialog to compute the crosstalk between multiple dyes imaged on
+// multiple channels.  The channels can be any of the setups and the
+// current setup.  See Experiment.
 //
 // Args:
-//     $el: jquery for the builder div
-//     filters (DataCollection<Filter>):
-//     setup (Setup):
-class PathBuilder
+//     el (Element):
+//     collections (Object): with the 'dye' and 'setup' Collection.
+//     setup (Setup): the current setup.
+//     runner (BatchRunner): where to run the computations.
+class CrosstalkDialog
 {
-    constructor(el, filters, setup) {
-        this.el = el;
-        this.filters = filters;
+    constructor(el, collections, setup, runner) {
+        this.collections = collections;
         this.setup = setup;
+        this.runner = runner;
+
+        this._dyes = el.querySelector('#crosstalk-dyes');
+        this._channels = el.querySelector('#crosstalk-channels');
+        this._progress = el.querySelector('#crosstalk-progress');
+        this._failure = el.querySelector('#failure');
+        this._results = el.querySelector('#crosstalk-results');
+        const table = el.querySelector('#crosstalk-table');
+        this._thead = table.querySelector('thead');
+        this._tbody = table.querySelector('tbody');
+        this._condition = el.querySelector('#crosstalk-condition');
+        this._inseparable = el.querySelector('#crosstalk-inseparable');
 
-        const cols = {
-            'filters': el.querySelector('#filters-view'),
-            'ex_path': el.querySelector('#ex-path'),
-            'em_path': el.querySelector('#em-path'),
-            'spectral_selection': el.querySelector('#spectral-selection'),
-        };
+        el.querySelector('#crosstalk-button').onclick = this.compute.bind(this);
 
-        const in_collection_template = this._li_template('collection-filters');
-        const in_path_template = this._li_template('path-filters');
-        this.views = {
-            'filters': new CollectionViewB(cols.filters.querySelector('ul'),
-                                           filters, in_collection_template),
-            'ex_path': new FilterStackView(cols.ex_path.querySelector('ul'),
-                                           setup.ex_path, in_path_template),
-            'em_path': new FilterStackView(cols.em_path.querySelector('ul'),
-                                           setup.em_path, in_path_template),
-        };
+        const $el = $(el);
+        $el.on('show.bs.modal', this.onShow.bind(this));
+        $el.on('hidden.bs.modal', this.onHidden.bind(this));
+    }
 
-        // Initialize spectral selection view for emission path
-        this.spectral_selection = new SpectralSelectionView(
-            cols.spectral_selection,
-            setup.em_path
+    onShow() {
+        this._failure.setAttribute('hidden', '');
+        // The collections may have changed since the last time, but
+        // keep the previous selection.
+        const dyes = Array.from(this.collections.dye.keys());
+        this._renderOptions(this._dyes, dyes.map(uid => [uid, uid]));
+        if (this._selected(this._dyes).length === 0 && this.setup.dye !== null)
+            this._select(this._dyes, [this.setup.dye.uid]);
+
+        const setups = Array.from(this.collections.setup.keys());
+        this._renderOptions(
+            this._channels,
+            [['', CrosstalkDialog.current_name]].concat(setups.map(uid => [uid, uid]))
         );
+        if (this._selected(this._channels).length === 0)
+            this._select(this._channels, ['']);
+    }
 
-        // The ondragover action is for the div with the column, not
-        // for the list.  Otherwise we can't drop if the list is
-        // empty.
-        cols.ex_path.ondragover = this.handleDragOver.bind(this);
-        cols.em_path.ondragover = this.handleDragOver.bind(this);
-
-        cols.ex_path.ondrop = this.handleDrop.bind(this, 'ex_path');
-        cols.em_path.ondrop = this.handleDrop.bind(this, 'em_path');
+    onHidden() {
+        this.runner.cancel();
     }
 
-    _li_template(id) {
-        const template_node = this.el.querySelector(`template#${ id }`);
-        return template_node.content.querySelector('li');
+    _renderOptions(select, options) {
+        const selected = this._selected(select);
+        select.textContent = '';
+        for (let [value, text] of options) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        }
+        this._select(select, selected);
     }
 
-    render() {
-        for (let v of Object.values(this.views))
-            v.render();
+    _selected(select) {
+        return Array.from(select.selectedOptions, x => x.value);
     }
 
-    handleDragOver(ev) {
-        ev.preventDefault();
-        ev.dataTransfer.dropEffect = 'copy';
+    _select(select, values) {
+        for (let option of select.options)
+            option.selected = values.includes(option.value);
     }
 
-    handleDrop(path_name, ev) {
-        const uid = ev.dataTransfer.getData('text/plain');
-        if (! this.filters.has(uid)) {
-            console.error(`no filter with uid ${ uid }.  Ignoring`);
+    compute() {
+        const dyes = this._selected(this._dyes);
+        const channels = this._selected(this._channels);
+        if (dyes.length === 0 || channels.length === 0) {
+            this.showFailure('Select at least one dye and one channel');
             return;
         }
-        ev.preventDefault();
 
-        const setup = this.setup;
-        this.filters.get(uid).then(
-            f => setup[path_name].push({'filter': f, 'mode': 't'})
+        let descriptions;
+        try {
+            descriptions = channels.map(
+                uid => uid === '' ? this.setup.describe() : this.collections.setup.get(uid)
+            );
+        } catch (e) {
+            this.showFailure(e.message);
+            return;
+        }
+        // The dye of each channel setup is the dye that the channel
+        // is for, so display it with the channel name.
+        const names = channels.map(function(uid, j) {
+            const name = uid === '' ? CrosstalkDialog.current_name : uid;
+            const dye = descriptions[j].dye;
+            return dye === null ? name : `${ name } (${ dye })`;
+        });
+
+        this._failure.setAttribute('hidden', '');
+        this._results.setAttribute('hidden', '');
+        this._progress.removeAttribute('hidden');
+        const args = {
+            dyes: dyes,
+            channels: descriptions,
+            sampling: this.setup.sampling,
+        };
+        return this.runner.run('crosstalk', args).then(
+            (function(results) {
+                this._progress.setAttribute('hidden', '');
+                if (results !== null)
+                    this.renderResults(dyes, names, results);
+            }).bind(this),
+            (function(err) {
+                this._progress.setAttribute('hidden', '');
+                this.showFailure(err.message);
+            }).bind(this)
         );
     }
+
+    // Args:
+    //     dyes (Array<String>): uids of the dyes, the table rows.
+    //     channels (Array<String>): names of the channels, the
+    //         table columns.
+    //     results (Object): results of the 'crosstalk' batch job.
+    renderResults(dyes, channels, results) {
+        this._thead.textContent = '';
+        const head = this._thead.insertRow();
+        for (let name of ['Dye'].concat(channels, ['Unmixing noise'])) {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = name;
+            head.appendChild(th);
+        }
+
+        this._tbody.textContent = '';
+        for (let i = 0; i < dyes.length; i++) {
+            const row = this._tbody.insertRow();
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = dyes[i];
+            row.appendChild(th);
+
+            for (let j = 0; j < channels.length; j++) {
+                const percent = results.bleed_through[i][j];
+                const td = row.insertCell();
+                td.textContent = isNaN(percent) ? '-' : percent.toFixed(1) + '%';
+                const own = results.own_channels[i].includes(j);
+                td.className = CrosstalkDialog.levelClass(percent, own);
+                td.title = ('Efficiency: ' + results.efficiency[i][j].toFixed(3)
+                            + '\nBrightness: ' + results.brightness[i][j].toFixed(3));
+            }
+            const noise = results.noise_amplification[i];
+            row.insertCell().textContent = (isFinite(noise)
+                                            ? noise.toFixed(2) + '×' : '∞');
+        }
+
+        const condition = results.condition_number;
+        this._condition.textContent = (isFinite(condition)
+                                       ? condition.toFixed(1) : '∞');
+
+        if (results.inseparable.length === 0)
+            this._inseparable.setAttribute('hidden', '');
+        else {
+            const pairs = results.inseparable.map(
+                ([i, k, similarity]) => `${ dyes[i] } and ${ dyes[k] } (${ similarity.toFixed(3) })`
+            );
+            this._inseparable.textContent = ('Effectively inseparable: '
+                                             + pairs.join(', '));
+            this._inseparable.removeAttribute('hidden');
+        }
+        this._results.removeAttribute('hidden');
+    }
+
+    // Bootstrap table class to colour a bleed-through value.  'own'
+    // is whether the channel is the dye own channel.
+    static
+    levelClass(percent, own) {
+        if (own)
+            return 'table-primary';
+        else if (isNaN(percent))
+            return '';
+        else if (percent >= CrosstalkDialog.danger_level)
+            return 'table-danger';
+        else if (percent >= CrosstalkDialog.warning_level)
+            return 'table-warning';
+        else
+            return 'table-success';
+    }
+
+    showFailure(text) {
+        this._failure.textContent = text;
+        this._failure.removeAttribute('hidden');
+    }
 }
+CrosstalkDialog.current_name = 'Current setup';
+// Bleed-through percentages from where the table is coloured as
+// warning and danger.
+CrosstalkDialog.warning_level = 5.0;
+CrosstalkDialog.danger_level = 20.0;
 
 
-class SetupPlot extends View
+// Dialog to rank the filters in the collection to add to the
+// emission path of the current setup.  See FilterRecommender.
+//
+// Each result can be added to the emission path with one click.
+//
+// Args:
+//     el (Element):
+//     collections (Object): with the 'dye' and 'filter' Collection.
+//     setup (Setup): the current setup.
+//     runner (BatchRunner): where to run the computations.
+class RecommendFiltersDialog
 {
-    constructor($el, setup) {
-        super($el);
+    constructor(el, collections, setup, runner) {
+        this.collections = collections;
         this.setup = setup;
-        this.plot = new Chart(this.$el[0].getContext('2d'), {
-            type: 'scatter',
-            data: {
-                datasets: [],
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                showLines: true,
-                scales: {
-                    x: {
-                        scaleLabel: {
-                            display: true,
-                            labelString: 'Wavelength (nm)',
-                        },
-                        ticks: {
-                            suggestedMin: 380,
-                            suggestedMax: 1000,
-                            // Seems like we only want to show this
-                            // range, even if we have spectrum data
-                            // beyond it.
-                            min: 300,
-                            max: 1000,
-                        },
-                    },
-                    y: {
-                        ticks: {
-                            beginAtZero: true,
-                            min: 0,
-                            max: 1,
-                        },
-                    },
-                },
-            },
-        });
-        this.setup.on('change', this.render, this);
+        this.runner = runner;
+
+        this._criterion = el.querySelector('#recommend-criterion');
+        this._min_od = el.querySelector('#recommend-min-od');
+        this._min_efficiency = el.querySelector('#recommend-min-efficiency');
+        this._second_dye = el.querySelector('#recommend-second-dye');
+        this._failure = el.querySelector('#failure');
+        this._progress = el.querySelector('#recommend-progress');
+        this._progress_bar = this._progress.querySelector('.progress-bar');
+        this._results = el.querySelector('#recommend-results');
+        this._bright_th = this._results.querySelectorAll('thead th')[3];
+        this._tbody = this._results.querySelector('tbody');
+
+        el.querySelector('#recommend-button').onclick = this.compute.bind(this);
+        this.runner.on('progress', this.renderProgress.bind(this));
+
+        this.$el = $(el);
+        this.$el.on('show.bs.modal', this.onShow.bind(this));
+        this.$el.on('hidden.bs.modal', this.onHidden.bind(this));
+    }
 
-        // Keep a cache of individual Spectrum objects, as ready to
-        // use Chartjs datasets.
-        this._dataset_cache = new WeakMap;
+    onShow() {
+        // The dyes may have changed since the last time, but keep the
+        // previous selection.
+        const selected = this._second_dye.value;
+        this._second_dye.textContent = '';
+        for (let uid of [''].concat(Array.from(this.collections.dye.keys()))) {
+            const option = document.createElement('option');
+            option.value = uid;
+            option.textContent = uid === '' ? 'none' : uid;
+            this._second_dye.appendChild(option);
+        }
+        this._second_dye.value = selected;
+        this._failure.setAttribute('hidden', '');
     }
 
-    // Convert Spectrum instance into a dataset model for Chartjs.
-    //
-    // Args:
-    //     spectrum (Spectrum):
-    //     options (Object): this will be added to the dataset object
-    //         created from 'spectrum'.  It can also be used to
-    //         override other options.  It is mainly used to set the
-    //         label used.  It can also be used to change the colour.
-    asChartjsDataset(spectrum, options = {}) {
-        if (! this._dataset_cache.has(spectrum)) {
+    onHidden() {
+        this.runner.cancel();
+    }
 
-            // In Chrome, lines outside the range of the x Axis appear
-            // as weird horizontal lines.  See issue #73.  So we crop
-            // the data for the displayed range.
-            const x_min = this.plot.options.scales.x.ticks.min;
-            const x_max = this.plot.options.scales.x.ticks.max;
-            let i_first = spectrum.wavelength.findIndex(x => x >= x_min);
-            let i_last = spectrum.wavelength.findIndex(x => x > x_max);
-            if (i_first === -1)
-                i_first = 0;
-            if (i_last === -1)
-                i_last = spectrum.wavelength.length -1;
+    // The FilterRecommender options from the form inputs, with the
+    // uid of the second dye.
+    get
+    options() {
+        const min_od = parseFloat(this._min_od.value);
+        return {
+            criterion: this._criterion.value,
+            min_od: isNaN(min_od) ? null : min_od,
+            min_efficiency: parseFloat(this._min_efficiency.value) / 100.0,
+            second_dye: this._second_dye.value === '' ? null : this._second_dye.value,
+        };
+    }
 
-            const points = new Array(i_last - i_first);
-            for (let i = 0; i < points.length; i++)
-                points[i] = {
-                    x: spectrum.wavelength[i_first+i],
-                    y: spectrum.data[i_first+i]
-                };
+    compute() {
+        if (this.setup.dye === null || this.setup.excitation === null) {
+            this.showFailure('The current setup needs a dye and an excitation');
+            return;
+        }
 
-            const rgb = SetupPlot.wavelengthToRGB(spectrum.peak_wavelength);
-            const rgb_str = rgb.join(',');
+        this._failure.setAttribute('hidden', '');
+        this._results.setAttribute('hidden', '');
+        this.renderProgress(0, this.collections.filter.size);
+        this._progress.removeAttribute('hidden');
+
+        const reference = this.setup.brightness_reference;
+        const args = {
+            setup: this.setup.describe(),
+            sampling: this.setup.sampling,
+            reference: reference.toJSON(),
+            options: this.options,
+            filters: Array.from(this.collections.filter.keys()),
+        };
+        const units = reference.unitsOn(this.setup);
+        return this.runner.run('recommend-filters', args).then(
+            (function(candidates) {
+                this._progress.setAttribute('hidden', '');
+                if (candidates !== null)
+                    this.renderResults(candidates, units);
+            }).bind(this),
+            (function(err) {
+                this._progress.setAttribute('hidden', '');
+                this.showFailure(err.message);
+            }).bind(this)
+        );
+    }
 
-            const bg_colour = `rgba(${ rgb_str }, 0.2)`;
-            const line_colour = `rgba(${ rgb_str }, 1.0)`;
-            const chartjs_dataset = {
-                data: points,
-		showLine: true,
-		fill: true,
-                backgroundColor: bg_colour,
-                borderColor: line_colour,
-                pointRadius: 0.0, // show the line only, not the datapoints
-                borderWidth: 0.25,
-            };
-            this._dataset_cache.set(spectrum, chartjs_dataset);
+    renderProgress(done, total) {
+        const percent = total > 0 ? Math.round(100 * done / total) : 0;
+        this._progress_bar.style.width = percent + '%';
+        this._progress_bar.setAttribute('aria-valuenow', percent);
+    }
+
+    // Args:
+    //     candidates (Array<Object>): results of the
+    //         'recommend-filters' batch job, best first.
+    //     units (String): units of the brightness.
+    renderResults(candidates, units) {
+        if (candidates.length === 0) {
+            this.showFailure('No filter satisfies the minimum blocking and efficiency');
+            return;
         }
-        const dataset = this._dataset_cache.get(spectrum);
-        return Object.assign({}, dataset, options);
+
+        const reference = this.setup.brightness_reference;
+        const format = (x, f) => isNaN(x) ? '' : f(x);
+        this._bright_th.textContent = `Brightness (${ units })`;
+        this._tbody.textContent = '';
+        for (let candidate of candidates.slice(0, RecommendFiltersDialog.max_results)) {
+            const row = this._tbody.insertRow();
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = candidate.uid;
+            row.appendChild(th);
+
+            const cells = [
+                candidate.mode,
+                candidate.em_eff.toFixed(2),
+                format(candidate.bright, x => reference.formatValue(x, this.setup)),
+                BlockingView.formatOD(candidate.od),
+                format(candidate.bleed_through, x => x.toFixed(1) + '%'),
+            ];
+            for (let text of cells)
+                row.insertCell().textContent = text;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-sm btn-primary';
+            button.textContent = 'Add';
+            button.title = 'add to the emission path of the current setup';
+            button.onclick = this.apply.bind(this, candidate);
+            row.insertCell().appendChild(button);
+        }
+        this._results.removeAttribute('hidden');
     }
 
-    render() {
-        const datasets = [];
+    // Add a candidate filter to the emission path of the current
+    // setup, and close the dialog to display it.
+    apply(candidate) {
+        const setup = this.setup;
+        this.collections.filter.get(candidate.uid).then(
+            f => setup.em_path.push({'filter': f, 'mode': candidate.mode})
+        );
+        this.$el.modal('hide');
+    }
 
-        // We don't draw filters from the excitation path.  We don't
-        // even have then hidden by default (which we could do by
-        // passing {'hidden': true} in the dataset options.  This is
-        // by design.  On the other hand, the spectrum of the
-        // excitation spectrum will already appear scaled, so the
-        // spectrum of the excitation will appear modelled in the
-        // modified spectrum of the source.
+    showFailure(text) {
+        this._failure.textContent = text;
+        this._failure.removeAttribute('hidden');
+    }
+}
+// Number of candidates displayed on the results table.
+RecommendFiltersDialog.max_results = 20;
 
-        if (this.setup.detector !== null) {
-            const detector = this.setup.detector;
-            const options = {
-                label: detector.uid,
-            };
-            datasets.push(this.asChartjsDataset(detector.qe, options));
+
+// Dialog with the photon budget and SNR of the current setup.  See
+// PhotonBudget.
+//
+// It also compares the SNR of the current setup with each of the
+// detectors, which is computed on the BatchRunner.
+//
+// Args:
+//     el (Element):
+//     setup (Setup): the current setup.
+//     detectors (DataCollection): the detectors to compare.
+//     runner (BatchRunner): where to run the comparison.
+class PhotonBudgetDialog
+{
+    constructor(el, setup, detectors, runner) {
+        this.setup = setup;
+        this.detectors = detectors;
+        this.runner = runner;
+
+        this._inputs = {
+            power: el.querySelector('#budget-power'),
+            area: el.querySelector('#budget-area'),
+            exposure: el.querySelector('#budget-exposure'),
+            na: el.querySelector('#budget-na'),
+            immersion_index: el.querySelector('#budget-immersion'),
+            pixel_size: el.querySelector('#budget-pixel-size'),
+            read_noise: el.querySelector('#budget-read-noise'),
+        };
+        this._amount_type = el.querySelector('#budget-amount-type');
+        this._amount = el.querySelector('#budget-amount');
+        this._amount_units = el.querySelector('#budget-amount-units');
+        this._failure = el.querySelector('#failure');
+        this._report = el.querySelector('#budget-report');
+        this._comparison = el.querySelector('#budget-detectors');
+        this._comparison_body = this._comparison.querySelector('tbody');
+        this._compare_button = el.querySelector('#budget-compare-button');
+
+        const inputs = Object.values(this._inputs).concat([this._amount_type,
+                                                           this._amount]);
+        for (let input of inputs)
+            input.addEventListener('input', this.render.bind(this));
+        this._compare_button.onclick = this.compareDetectors.bind(this);
+
+        const $el = $(el);
+        $el.on('show.bs.modal', this.render.bind(this));
+        $el.on('hidden.bs.modal', () => this.runner.cancel());
+    }
+
+    // The PhotonBudget options from the form inputs.
+    get
+    options() {
+        const options = {};
+        for (let name of Object.keys(this._inputs))
+            options[name] = parseFloat(this._inputs[name].value);
+        // Empty means using the values from the excitation,
+        // objective, and detector, and the detector noise model.
+        for (let name of ['power', 'area', 'na', 'immersion_index', 'pixel_size',
+                          'read_noise'])
+            if (isNaN(options[name]))
+                options[name] = null;
+
+        const amount = parseFloat(this._amount.value);
+        if (this._amount_type.value === 'molecules') {
+            options.molecules = amount;
+            options.concentration = null;
+        } else {
+            options.molecules = null;
+            options.concentration = amount;
         }
+        return options;
+    }
 
-        for (let x of this.setup.em_path) {
-            const mode = x.mode === 't' ? 'transmission' : 'reflection';
-            const options = {
-                label: `${ x.filter.uid } (${ x.mode })`
-            };
-            datasets.push(this.asChartjsDataset(x.filter[mode], options));
+    render() {
+        this._amount_units.textContent = (this._amount_type.value === 'molecules'
+                                          ? '#' : 'nM');
+        const detector = this.setup.detector;
+        this._inputs.read_noise.placeholder = (detector !== null
+                                               ? detector.uid : 'none');
+        const from_setup = new PhotonBudget(this.setup);
+        for (let name of ['power', 'area', 'na', 'immersion_index',
+                          'pixel_size']) {
+            const val = from_setup.option(name);
+            this._inputs[name].placeholder = val === null ? '' : val.toPrecision(3);
         }
+        this._report.textContent = '';
+        this._comparison.setAttribute('hidden', '');
+        this._failure.setAttribute('hidden', '');
 
-        if (this.setup.excitation !== null) {
+        const budget = new PhotonBudget(this.setup, this.options);
+        if (! budget.isValid()) {
+            this.showFailure(budget.validation_error);
+            return;
+        }
 
-            // Excitation, together with Dye, is the thing that
-            // matters the most to the user, so don't make it
-            // transparent like the filters.
-            const intensity = this.setup.excitation.intensity;
-            const rgb = SetupPlot.wavelengthToRGB(intensity.peak_wavelength);
-            const rgb_str = rgb.join(',');
-            const options = {
-                label: this.setup.excitation.uid,
-                backgroundColor: `rgba(${ rgb_str }, 1.0)`,
-                borderColor: `rgba(${ rgb_str }, 1.0)`,
-                borderWidth: 2.0,
-            };
-            // We don't display the spectrum of the excitation source,
-            // we display the spectrum of the excitation source that
-            // gets transmitted.
-            const transmission = this.setup.ex_transmission;
-            datasets.push(this.asChartjsDataset(transmission, options));
+        const format = (x) => isNaN(x) ? '-' : x.toPrecision(3);
+        const lines = [
+            ['Photons absorbed per molecule', format(budget.excitation_rate) + ' /s'],
+            ['Saturation', (isNaN(budget.saturation) ? 'no dye lifetime'
+                            : (budget.saturation * 100).toFixed(1) + '%')],
+            ['Collection efficiency', format(budget.collection_efficiency)],
+            ['Photons detected per molecule', format(budget.photon_rate) + ' /s'],
+            ['Molecules per pixel', format(budget.molecules_per_pixel)],
+            ['Signal per pixel', format(budget.signal) + ' e⁻'],
+            ['Noise per pixel', format(budget.noise) + ' e⁻'],
+            ['SNR', format(budget.snr)],
+        ];
+        for (let [term, value] of lines) {
+            const dt = document.createElement('dt');
+            dt.className = 'col-sm-7';
+            dt.textContent = term;
+            const dd = document.createElement('dd');
+            dd.className = 'col-sm-5';
+            dd.textContent = value;
+            this._report.appendChild(dt);
+            this._report.appendChild(dd);
         }
+    }
 
-        if (this.setup.dye !== null) {
-            const dye = this.setup.dye;
-            datasets.push(this.asChartjsDataset(dye.absorption,
-                                                {label: dye.uid + '(abs)'}));
-            datasets.push(this.asChartjsDataset(dye.emission,
-                                                {label: dye.uid + '(em)'}));
+    // Table with the same photon budget for all detectors, sorted
+    // by SNR.
+    compareDetectors() {
+        const budget = new PhotonBudget(this.setup, this.options);
+        if (! budget.isValid()) {
+            this.showFailure(budget.validation_error);
+            return;
+        }
+        const args = {
+            setup: this.setup.describe(),
+            sampling: this.setup.sampling,
+            // Each detector with its own noise model.  The power
+            // and area may be from the setup excitation power and
+            // spot size, which are not part of its description.
+            budget: Object.assign({}, this.options, {
+                read_noise: null,
+                power: budget.option('power'),
+                area: budget.option('area'),
+            }),
+            detectors: Array.from(this.detectors.keys()),
+        };
+        this._compare_button.disabled = true;
+        return this.runner.run('compare-detectors', args).then(
+            (function(results) {
+                this._compare_button.disabled = false;
+                if (results !== null)
+                    this.renderComparison(results);
+            }).bind(this),
+            (function(err) {
+                this._compare_button.disabled = false;
+                this.showFailure(err.message);
+            }).bind(this)
+        );
+    }
 
-            // If there are filters on the emission path, also show
-            // the transmitted spectrum of the dye.  This is the thing
-            // that users care the most so don't make it transparent
-            // like the others, and make the border thicker and dark.
-            if (this.setup.em_path.length !== 0) {
-                const transmission = this.setup.em_transmission;
-                const rgb = SetupPlot.wavelengthToRGB(transmission.peak_wavelength);
-                const options = {
-                    label: this.setup.dye.uid + '(transmitted)',
-                    backgroundColor: `rgba(${ rgb.join(',') }, 1.0)`,
-                    borderColor: 'rgba(0, 0, 0, 0.5)',
-                    borderWidth: 2.0,
-                };
-                datasets.push(this.asChartjsDataset(transmission, options));
+    renderComparison(results) {
+        // Missing quantum yield or extinction coefficient gives NaN
+        // for all detectors, so there's no need to handle NaN here.
+        results.sort((a, b) => b.snr - a.snr);
+        this._comparison_body.textContent = '';
+        for (let result of results) {
+            const row = this._comparison_body.insertRow();
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = result.uid;
+            if (! result.noise_model) {
+                row.className = 'text-muted';
+                th.title = 'no noise data, ideal detector';
+                th.textContent += ' *';
             }
+            row.appendChild(th);
+            for (let name of ['signal', 'noise', 'snr'])
+                row.insertCell().textContent = (isNaN(result[name]) ? '-'
+                                                : result[name].toPrecision(3));
         }
-
-        // We use the title to place the efficiency values, so there's
-        // no title if there's no dye.
-        if (this.setup.dye === null)
-            Object.assign(this.plot.options.plugins.title,
-                          {display: false, text: ''});
-        else
-            Object.assign(this.plot.options.plugins.title,
-                          this.formatTitle());
-
-        // Reverse the datasets.  First elements appear on top of the
-        // plot but we got this far expecting the other way around.
-        // This is specially noticeable on the transmitted spectra
-        // which will look kinda washed out if not plotted on top.
-        this.plot.data.datasets = datasets.reverse();
-        this.plot.update();
+        this._comparison.removeAttribute('hidden');
     }
 
-    // Object to configure Chartjs title option.
-    formatTitle() {
-        const eff2str = (eff) => (eff*100).toFixed(1) + '%';
+    showFailure(text) {
+        this._failure.textContent = text;
+        this._failure.removeAttribute('hidden');
+    }
+}
 
-        // The things that will appear on the title.
-        const info = [];
 
-        if (this.setup.excitation !== null)
-            info.push('ex=' + eff2str(this.setup.ex_efficiency));
+// Dialog to compute the Förster radius of a donor and acceptor pair,
+// and the fractions of the signal in a FRET channel, the current
+// setup.  See FretPair.
+//
+// Args:
+//     el (Element):
+//     dyes (DataCollection):
+//     setup (Setup): the current setup, the FRET channel.
+class FretDialog
+{
+    constructor(el, dyes, setup) {
+        this.dyes = dyes;
+        this.setup = setup;
 
-        info.push('em=' + eff2str(this.setup.em_efficiency));
+        this._donor = el.querySelector('#fret-donor');
+        this._acceptor = el.querySelector('#fret-acceptor');
+        this._inputs = {
+            kappa2: el.querySelector('#fret-kappa2'),
+            refractive_index: el.querySelector('#fret-index'),
+            efficiency: el.querySelector('#fret-efficiency'),
+        };
+        this._failure = el.querySelector('#failure');
+        this._report = el.querySelector('#fret-report');
 
-        if (this.setup.excitation !== null && ! isNaN(this.setup.brightness))
-            info.push('brightness=' + this.setup.brightness.toFixed(2));
+        // Dyes are read asynchronously, so only display the last
+        // requested report.
+        this._last_render = 0;
 
-        const title = {
-	    font: { size: 24},
-            display: true,
-            text: `${ this.setup.dye.uid } efficiency: ${ info.join(', ') }`,
-        };
+        for (let input of Object.values(this._inputs).concat([this._donor,
+                                                               this._acceptor]))
+            input.addEventListener('input', this.render.bind(this));
 
-        return title;
+        const $el = $(el);
+        $el.on('show.bs.modal', this.onShow.bind(this));
     }
 
-    downloadLink(format='image/png') {
-        return this.$el[0].toDataURL(format);
+    onShow() {
+        // The dyes may have changed since the last time, but keep the
+        // previous selection.
+        for (let select of [this._donor, this._acceptor]) {
+            const selected = select.value;
+            select.textContent = '';
+            for (let uid of this.dyes.keys()) {
+                const option = document.createElement('option');
+                option.value = uid;
+                option.textContent = uid;
+                select.appendChild(option);
+            }
+            select.value = selected;
+        }
+        if (this._donor.value === '' && this.setup.dye !== null)
+            this._donor.value = this.setup.dye.uid;
+        this.render();
     }
 
-    // Converted to javascript from Octave's wavelength2rgb
-    // http://hg.code.sf.net/p/octave/image/file/590aa72e3880/inst/wavelength2rgb.m
-    static
-    wavelengthToRGB(wavelength, gamma=0.8) {
-        let rgb;
-	if (wavelength > 780)
-	    wavelength = 780-(wavelength -780) 
-        if (wavelength < 380.0)
-            rgb = [0.0, 0.0, 0.0];
-        else if (wavelength < 440.0)
-            rgb = [-(wavelength-440.0)/60.0, 0.0, 1.0];
-        else if (wavelength < 490.0)
-            rgb = [0.0, (wavelength-440.0)/50.0, 1.0];
-        else if (wavelength < 510.0)
-            rgb = [0.0, 1.0, -(wavelength-510.0)/20.0];
-        else if (wavelength < 580.0)
-            rgb = [(wavelength-510.0)/70.0, 1.0, 0.0];
-        else if (wavelength < 645.0)
-            rgb = [1.0, -(wavelength-645.0)/65.0, 0.0];
-        else if (wavelength < 780.0)
-            rgb = [1.0, 0.0, 0.0];
-        else
-            rgb = [0.0, 0.0, 0.0];
+    render() {
+        const render_id = ++this._last_render;
+        this._report.textContent = '';
+        this._failure.setAttribute('hidden', '');
+
+        const donor = this._donor.value;
+        const acceptor = this._acceptor.value;
+        if (donor === '' || acceptor === '') {
+            this.showFailure('Select a donor and an acceptor');
+            return Promise.resolve();
+        }
 
-        // Let intensity fall off near the vision limits.
-        let factor;
-        if (wavelength < 420.0)
-            factor = 0.3 + 0.7 * (wavelength - 380.0) / 40.0;
-        else if (wavelength <= 700.0)
-            factor = 1.0;
-        else // (wavelength > 700.0)
-            factor = 0.3 + 0.7 * (780.0 - wavelength) / 80.0;
+        const options = {
+            kappa2: parseFloat(this._inputs.kappa2.value),
+            refractive_index: parseFloat(this._inputs.refractive_index.value),
+        };
+        const efficiency = parseFloat(this._inputs.efficiency.value) / 100.0;
+        return Promise.all([this.dyes.get(donor), this.dyes.get(acceptor)]).then(
+            (function([donor, acceptor]) {
+                if (render_id !== this._last_render)
+                    return;
+                const pair = new FretPair(donor, acceptor, options);
+                if (! pair.isValid()) {
+                    this.showFailure(pair.validation_error);
+                    return;
+                }
+                if (! (efficiency >= 0.0 && efficiency <= 1.0)) {
+                    this.showFailure('FRET efficiency must be in the [0 100] interval');
+                    return;
+                }
+                this.renderReport(pair, efficiency);
+            }).bind(this),
+            (function(err) {
+                this.showFailure(err.message);
+            }).bind(this)
+        );
+    }
 
-        rgb = rgb.map(x => Math.round(255.0 * ((x * factor) ** gamma)));
-        return rgb;
+    renderReport(pair, efficiency) {
+        const format = (x) => isNaN(x) ? '-' : x.toPrecision(3);
+        const percent = (x) => isNaN(x) ? '-' : (x * 100).toFixed(1) + '%';
+        const lines = [
+            ['Spectral overlap J', format(pair.overlap) + ' M⁻¹cm⁻¹nm⁴'],
+            ['Förster radius R₀', format(pair.forster_radius) + ' nm'],
+        ];
+        if (this.setup.excitation === null)
+            lines.push(['FRET channel', 'no excitation on current setup']);
+        else {
+            const fractions = pair.signalFractions(this.setup, efficiency);
+            lines.push(
+                ['Sensitised emission', percent(fractions.sensitised)],
+                ['Donor bleed-through', percent(fractions.bleed_through)],
+                ['Direct acceptor excitation', percent(fractions.direct)],
+            );
+        }
+        for (let [term, value] of lines) {
+            const dt = document.createElement('dt');
+            dt.className = 'col-sm-7';
+            dt.textContent = term;
+            const dd = document.createElement('dd');
+            dd.className = 'col-sm-5';
+            dd.textContent = value;
+            this._report.appendChild(dt);
+            this._report.appendChild(dd);
+        }
+    }
+
+    showFailure(text) {
+        this._failure.textContent = text;
+        this._failure.removeAttribute('hidden');
     }
 }
 
 
-class ImportDialog extends View
+// Dialog to search the best band for the spectral selection on the
+// emission path of the current setup.  See
+// SpectralSelectionFilter.optimise.
+//
+// The band and its efficiency are displayed first, and only applied
+// to the spectral selection on request.
+//
+// Args:
+//     el (Element):
+//     dyes (DataCollection): the dyes for the second dye.
+//     setup (Setup): the current setup.
+//     selection (SpectralSelectionView): with the spectral selection
+//         of the emission path to optimise.
+class SpectralOptimiseDialog
 {
-    constructor($el, options) {
-        super($el);
-        this.options = options; // maps option value to a DataCollection
-
-        this._$name = $el.find('#file-name');
-        this._$file_type = $el.find('#file-type');
-        this._$file_input = $el.find('#file-selector');
-        this._$file_label = $el.find('.custom-file-label');
-        this._$import_button = $el.find('#import-button');
-        this._$failure = $el.find('#failure');
-
-        this.$el.on('show.bs.modal', this.reset.bind(this));
-        this._$import_button.on('click', this.import.bind(this));
-        this._$file_input.on('change', this.selectFile.bind(this));
-    }
+    constructor(el, dyes, setup, selection) {
+        this.dyes = dyes;
+        this.setup = setup;
+        this.selection = selection;
 
-    reset() {
-        this._$failure.attr('hidden', '');
+        this._objective = el.querySelector('#spectral-objective');
+        this._guard = el.querySelector('#spectral-guard');
+        this._min_efficiency = el.querySelector('#spectral-min-efficiency');
+        this._second_dye = el.querySelector('#spectral-second-dye');
+        this._failure = el.querySelector('#failure');
+        this._report = el.querySelector('#spectral-optimise-report');
+        this._apply_button = el.querySelector('#spectral-apply-button');
 
-        this._$name.val(''); // Maybe we shouldn't reset the name?
+        // The last band found, to be applied.
+        this._band = null;
 
-        // Don't empty the filelist so that selecting a new file will
-        // start where the last one was selected from.
-        const filelist = this._$file_input[0].files;
-        if (filelist.length !== 0)
-            this._$file_label.text(filelist[0].name);
+        el.querySelector('#spectral-optimise-button').onclick = this.optimise.bind(this);
+        this._apply_button.onclick = this.apply.bind(this);
+
+        this.$el = $(el);
+        this.$el.on('show.bs.modal', this.onShow.bind(this));
     }
 
-    selectFile() {
-        this._$file_label.text(this._$file_input[0].files[0].name);
+    onShow() {
+        // The dyes may have changed since the last time, but keep the
+        // previous selection.
+        const selected = this._second_dye.value;
+        this._second_dye.textContent = '';
+        for (let uid of [''].concat(Array.from(this.dyes.keys()))) {
+            const option = document.createElement('option');
+            option.value = uid;
+            option.textContent = uid === '' ? 'none' : uid;
+            this._second_dye.appendChild(option);
+        }
+        this._second_dye.value = selected;
+        this._reset();
     }
 
-    // TODO: might not be a bad idea to use bootstrap form validation.
-    import() {
-        const type = this._$file_type.val();
-        const collection = this.options[type];
-        if (! (collection instanceof DataCollection))
-            throw new Error(`invalid data type ${ type } selected`);
+    _reset() {
+        this._band = null;
+        this._apply_button.disabled = true;
+        this._report.textContent = '';
+        this._failure.setAttribute('hidden', '');
+    }
 
-        const name = this._$name.val();
-        if (! name) {
-            this.showFailure('Name is required');
-            return;
-        }
-        const filelist = this._$file_input[0].files;
-        if (! (filelist[0] instanceof File)) {
-            this.showFailure('File is required');
-            return;
+    optimise() {
+        this._reset();
+        if (this.setup.dye === null || this.setup.excitation === null) {
+            this.showFailure('The current setup needs a dye and an excitation');
+            return Promise.resolve();
         }
 
-        const reader = new FileReader;
-
-        reader.onload = (function() {
-            const attrs = {'uid': name};
-            try {
-                const data = collection.reader(reader.result, attrs);
-                collection.set(name, Promise.resolve(data));
-            } catch (e) {
-                this.showFailure(e.message);
+        const uid = this._second_dye.value;
+        const second_dye = uid === '' ? Promise.resolve(null) : this.dyes.get(uid);
+        return second_dye.then((function(second_dye) {
+            const options = {
+                objective: this._objective.value,
+                guard: parseFloat(this._guard.value) || 0.0,
+                min_efficiency: (parseFloat(this._min_efficiency.value) || 0.0) / 100.0,
+                second_dye: second_dye,
+            };
+            // Without a spectral selection, optimise a new one.
+            const filter = (this.selection.filterOf('em_path')
+                            || new SpectralSelectionFilter(undefined,
+                                                           this.setup.em_path.sampling));
+            const result = filter.optimise(this.setup, options);
+            if (result === null) {
+                this.showFailure('No band satisfies the guard distance and minimum efficiency');
                 return;
             }
-            this.$el.modal('hide');
-        }).bind(this);
-
-        reader.onerror = (function(ev) {
-            this.showFailure(ev.message);
-        }).bind(this);
+            this._band = result.band;
+            this._apply_button.disabled = false;
+            this.renderReport(result);
+        }).bind(this)).catch((function(err) {
+            this.showFailure(err.message);
+        }).bind(this));
+    }
+
+    renderReport(result) {
+        const lines = [
+            ['Band', `${ result.band.min } - ${ result.band.max } nm`],
+            ['Emission efficiency', (result.em_efficiency * 100).toFixed(1) + '%'],
+        ];
+        if (! isNaN(result.bleed_through))
+            lines.push(['Bleed-through of second dye',
+                        result.bleed_through.toFixed(1) + '%']);
+        for (let [term, value] of lines) {
+            const dt = document.createElement('dt');
+            dt.className = 'col-sm-7';
+            dt.textContent = term;
+            const dd = document.createElement('dd');
+            dd.className = 'col-sm-5';
+            dd.textContent = value;
+            this._report.appendChild(dt);
+            this._report.appendChild(dd);
+        }
+    }
 
-        reader.readAsText(filelist[0]);
+    apply() {
+        if (this._band === null)
+            return;
+        this.selection.setBands('em_path', [this._band]);
+        this.$el.modal('hide');
     }
 
     showFailure(text) {
-        this._$failure.html(text);
-        this._$failure.removeAttr('hidden');
+        this._failure.textContent = text;
+        this._failure.removeAttribute('hidden');
     }
 }
 
 
-class SaveSetupDialog extends View
+// Dialog to design a synthetic filter and add it to the filter
+// collection.  See FilterDesign.
+//
+// The passbands of bandpass and multiband filters are entered like
+// filter names, centre and width, e.g., '525/50' or '445/45 525/50'.
+//
+// Args:
+//     el (Element):
+//     filters (DataCollection<Filter>): where to add the filter.
+class FilterDesignDialog
 {
-    constructor($el, setups, setup) {
-        super($el);
-        this.setups = setups; // Collection<SetupDescription>
-        this.setup = setup; // Setup
+    constructor(el, filters) {
+        this.filters = filters;
 
-        this._$name = $el.find('#setup-name');
-        this._$save_button = $el.find('#save-button');
-        this._$failure = $el.find('#failure');
-        this._$description = $el.find('#setup-description').find('code');
+        this._type = el.querySelector('#design-type');
+        this._bands = el.querySelector('#design-bands');
+        this._cut = el.querySelector('#design-cut');
+        this._edge = el.querySelector('#design-edge');
+        this._peak = el.querySelector('#design-peak');
+        this._od = el.querySelector('#design-od');
+        this._name = el.querySelector('#design-name');
+        this._failure = el.querySelector('#failure');
 
-        this.$el.on('show.bs.modal', this.reset.bind(this));
-        this._$save_button.on('click', this.add.bind(this));
+        for (let input of el.querySelectorAll('input, select'))
+            input.addEventListener('input', this.render.bind(this));
+        el.querySelector('#design-add-button').onclick = this.add.bind(this);
+
+        this.$el = $(el);
+        this.$el.on('show.bs.modal', this.render.bind(this));
     }
 
-    reset() {
-        this._$name.val('');
-        this._$failure.attr('hidden', '');
-        this._$description.html(JSON.stringify(this.setup.describe(), null, 2));
+    get
+    design() {
+        const bands = this._bands.value.split(/[\s,]+/).filter(x => x !== '').map(
+            function(x) {
+                const [centre, width] = x.split('/').map(parseFloat);
+                return {centre: centre, width: width};
+            }
+        );
+        return new FilterDesign({
+            type: this._type.value,
+            bands: bands,
+            cut: parseFloat(this._cut.value),
+            edge: parseFloat(this._edge.value),
+            peak: parseFloat(this._peak.value) / 100.0,
+            od: parseFloat(this._od.value),
+        });
+    }
+
+    // Show the inputs for the type of filter, and the name of the
+    // filter or why the design is invalid.
+    render() {
+        const edge_type = ['longpass', 'shortpass'].includes(this._type.value);
+        this._bands.closest('.input-group').hidden = edge_type;
+        this._cut.closest('.input-group').hidden = ! edge_type;
+
+        const design = this.design;
+        if (design.isValid()) {
+            this._failure.setAttribute('hidden', '');
+            this._name.textContent = design.uid;
+        } else {
+            this._name.textContent = '';
+            this.showFailure(design.validation_error);
+        }
     }
 
     add() {
-        const uid = this._$name.val().trim();
-        if (! uid) {
-            this.showFailure('A name is required');
+        const design = this.design;
+        if (! design.isValid()) {
+            this.showFailure(design.validation_error);
             return;
-        } else {
-            try {
-                const description = this.setup.describe();
-                this.setups.set(uid, description);
-            } catch (e) {
-                this.showFailure(e.message);
-                return;
-            }
         }
+        design.addTo(this.filters);
         this.$el.modal('hide');
     }
 
     showFailure(text) {
-        this._$failure.html(text);
-        this._$failure.removeAttr('hidden');
+        this._failure.textContent = text;
+        this._failure.removeAttribute('hidden');
     }
 }
 
 
-class TestDyesDialog
+// Dialog to make a synthetic excitation source from its parameters.
+// See Excitation.generate.
+//
+// The source is only named here, the excitation collection
+// generates it when it is selected.
+//
+// Args:
+//     el (Element):
+//     select (function): called with the uid of the source to use.
+class SyntheticExcitationDialog
 {
-    constructor(el, dyes, setup) {
-        this.dyes = dyes;
-        this.setup = setup;
+    constructor(el, select) {
+        this.select = select;
 
-        // Get the template for the rows and the individual table cells.
-        const table = el.querySelector('table#test-dyes-results');
-        this._tbody = table.querySelector('tbody');
-        this._template = table.querySelector('template').content;
-        this._th = this._template.querySelector('th');
-        this._td = this._template.querySelectorAll('td');
+        this._type = el.querySelector('#synthetic-type');
+        this._centre = el.querySelector('#synthetic-centre');
+        this._fwhm = el.querySelector('#synthetic-fwhm');
+        this._temperature = el.querySelector('#synthetic-temperature');
+        this._uid = el.querySelector('#synthetic-uid');
+        this._failure = el.querySelector('#failure');
 
-        // An array of Object with the dye testing results, which will
-        // then be used to render the table body.
-        this._results = [];
+        for (let input of el.querySelectorAll('input, select'))
+            input.addEventListener('input', this.render.bind(this));
+        el.querySelector('#synthetic-use-button').onclick = this.use.bind(this);
 
-        // Bootstrap uses jquery trigger() so we can't use
-        // addEventListener(), we need to use jQuery's on()
-        // https://stackoverflow.com/a/24212373
-        const $el = $(el);
-        $el.on('show.bs.modal', this.onShow.bind(this));
-        $el.on('hidden.bs.modal', this.onHidden.bind(this));
+        this.$el = $(el);
+        this.$el.on('show.bs.modal', this.render.bind(this));
+    }
 
-        const thead_cells = table.querySelector('thead').querySelectorAll('th');
-        thead_cells[1].onclick = this.renderTBody.bind(this, 'ex_eff');
-        thead_cells[2].onclick = this.renderTBody.bind(this, 'em_eff');
-        thead_cells[3].onclick = this.renderTBody.bind(this, 'bright');
+    // The uid of the source, e.g., 'led:730:30'.  Laser lines of
+    // the default width are just 'laser:505'.
+    get
+    uid() {
+        const type = this._type.value;
+        if (type === 'blackbody')
+            return `blackbody:${ this._temperature.value }`;
+        const centre = this._centre.value;
+        const fwhm = this._fwhm.value;
+        if (type === 'laser' && parseFloat(fwhm) === 1.0)
+            return `laser:${ centre }`;
+        return `${ type }:${ centre }:${ fwhm }`;
     }
 
-    onShow() {
-        this._updateResults().then(this.renderTBody.bind(this, 'bright'));
+    render() {
+        const blackbody = this._type.value === 'blackbody';
+        for (let input of [this._centre, this._fwhm])
+            input.closest('.input-group').hidden = blackbody;
+        this._temperature.closest('.input-group').hidden = ! blackbody;
+
+        const uid = this.uid;
+        this._uid.textContent = uid;
+        try {
+            Excitation.generate(uid);
+        } catch (e) {
+            this.showFailure(e.message);
+            return false;
+        }
+        this._failure.setAttribute('hidden', '');
+        return true;
     }
 
-    onHidden() {
-        this._tbody.textContent = '';
+    use() {
+        if (! this.render())
+            return;
+        this.select(this.uid);
+        this.$el.modal('hide');
     }
 
-    _updateResults() {
-        // dye name to a two element array, the first the actusl
-        // results while the second are the nodes to be inserted on
-        // the table.  This is so we can later resort the table
-        // without recomputing the nodes.
-        this._results = [];
+    showFailure(text) {
+        this._failure.textContent = text;
+        this._failure.removeAttribute('hidden');
+    }
+}
 
-        // Prepare a clone of the live setup then test the different
-        // dyes on it.
-        const setup = this.setup.clone();
-        const promises = [];
-        for (let uid of this.dyes.keys()) {
-            promises.push(
-                this.dyes.get(uid).then((function(dye) {
-                    setup.dye = dye;
-                    const result = {
-                        'uid': uid,
-                        'ex_eff': setup.ex_efficiency,
-                        'em_eff': setup.em_efficiency,
-                        'bright': setup.brightness,
-                    };
-
-                    this._th.textContent = dye.uid;
-                    this._td[0].textContent = result.ex_eff.toFixed(2);
-                    this._td[1].textContent = result.em_eff.toFixed(2);
-                    this._td[2].textContent = result.bright.toFixed(2);
-                    result.node = document.importNode(this._template, true);
-
-                    this._results.push(result);
-                }).bind(this))
-            );
+
+// Dialog to rename, delete, export, and import the data imported and
+// the setups saved by the user.  See LocalStore.
+//
+// Args:
+//     el (Element):
+//     local (LocalStore):
+class LocalDataDialog
+{
+    constructor(el, local) {
+        this.local = local;
+
+        this._unavailable = el.querySelector('#local-unavailable');
+        const table = el.querySelector('table#local-data');
+        this._tbody = table.querySelector('tbody');
+        this._template = table.querySelector('template').content;
+        this._export = el.querySelector('#local-export-button');
+        this._import = el.querySelector('#local-import-file');
+        this._failure = el.querySelector('#failure');
+
+        this._import.addEventListener('change', this.importBundle.bind(this));
+
+        this.$el = $(el);
+        this.$el.on('show.bs.modal', this.render.bind(this));
+    }
+
+    render() {
+        this._failure.setAttribute('hidden', '');
+        this._unavailable.hidden = this.local.is_persistent;
+        this._unavailable.textContent = (
+            'Local data can not be kept across sessions'
+            + ` (${ this.local.error }).  Export it before leaving.`
+        );
+
+        this._tbody.textContent = '';
+        for (let dtype of LocalStore.dtypes) {
+            for (let uid of this.local.collections[dtype].localKeys()) {
+                const row = document.importNode(this._template, true);
+                row.querySelector('th').textContent = dtype;
+                const input = row.querySelector('input');
+                input.value = uid;
+                row.querySelector('.rename-button').addEventListener(
+                    'click', () => this.run(
+                        () => this.local.rename(dtype, uid, input.value.trim())
+                    )
+                );
+                row.querySelector('.delete-button').addEventListener(
+                    'click', () => this.run(() => this.local.delete(dtype, uid))
+                );
+                this._tbody.appendChild(row);
+            }
         }
-        return Promise.all(promises);
+
+        // The bundle is only made when needed, but the link must be
+        // ready before it is clicked.
+        this.local.exportBundle().then((function(text) {
+            if (this._export.href.startsWith('blob:'))
+                URL.revokeObjectURL(this._export.href);
+            this._export.href = URL.createObjectURL(
+                new Blob([text], {type: 'application/json'})
+            );
+        }).bind(this));
     }
 
+    // Run a change of the local data, then render the changes or
+    // show why it failed.
+    //
     // Args:
-    //     order(String): property name used to order the results
-    //         table.  Must be a property on the 'results' Object.
-    renderTBody(order) {
-        this._tbody.textContent = ''; // remove all rows first
-
-        // Beware of NaN values if we are sorting by brightness
-        // because some dyes will be missing quantum yield and
-        // extinction coefficient values.
-        this._results.sort(function(a, b) {
-            let cmp = b[order] - a[order];
-            if (isNaN(cmp)) {
-                if (isNaN(a[order]) && isNaN(b[order]))
-                    cmp = 0.0;
-                else if (isNaN(a[order]))
-                    cmp = Infinity;
-                else // isNaN(b[order])
-                    cmp = -Infinity;
+    //     change (function): returns a promise.
+    run(change) {
+        let promise;
+        try {
+            promise = change();
+        } catch (e) {
+            promise = Promise.reject(e);
+        }
+        promise.then(
+            () => this.render(),
+            (e) => {
+                this.render();
+                this.showFailure(e.message);
             }
+        );
+    }
 
-            // For the sake of sorting stability, take a look at the
-            // uids when the values are the same.
-            if (cmp === 0.0)
-                cmp = a.uid.localeCompare(b.uid);
+    importBundle() {
+        const file = this._import.files[0];
+        if (! (file instanceof File))
+            return;
 
-            return cmp;
-        });
+        const reader = new FileReader;
 
-        for (let result of this._results)
-            this._tbody.appendChild(result.node.cloneNode(true));
+        reader.onload = (function() {
+            this.run(() => this.local.importBundle(reader.result));
+        }).bind(this);
+
+        reader.onerror = (function(ev) {
+            this.showFailure(ev.message);
+        }).bind(this);
+
+        reader.readAsText(file);
+        // So that the same file can be imported again.
+        this._import.value = '';
+    }
+
+    showFailure(text) {
+        this._failure.textContent = text;
+        this._failure.removeAttribute('hidden');
     }
 }
 
@@ -2153,17 +8230,25 @@ class ErrorDialog
 //
 // Args:
 //   $el: jquery div where the app will be created.
-//   collections (Object): keys will be the 4 required collections and
-//     their corresponding Collection instances.
+//   collections (Object): keys will be the 7 required collections and
+//     their corresponding Collection instances, and optionally the
+//     'local' LocalStore from read_collections.
 class SpekCheck
 {
     constructor($el, collections) {
         this.$el = $el;
         this.el = $el[0];
-        this.collection = collections;
+        this.collection = Object.assign({}, collections);
         for (let dtype of ['setup', 'detector', 'dye', 'excitation', 'filter'])
             if (! (collections[dtype] instanceof Collection))
                 throw new Error(`no Collection for type '${ dtype }'`);
+        // Collections from other sites may have no objectives and
+        // backgrounds, which are optional on a Setup.
+        for (let dtype of ['objective', 'background'])
+            if (! (collections[dtype] instanceof Collection))
+                this.collection[dtype] = new DataCollection(
+                    [], null, spekcheck_db[dtype].reader
+                );
 
         // Changes are done to this instance of Setup which then
         // triggers the SetupPlot to update its display.
@@ -2180,7 +8265,8 @@ class SpekCheck
         // Note that there's no SelectView for the filters.  Those are
         // not selectable, they're part of the path customisation GUI.
         this.view = {};
-        for (let dtype of ['detector', 'dye', 'excitation', 'setup']) {
+        for (let dtype of ['detector', 'dye', 'excitation', 'objective',
+                           'background', 'setup']) {
             const view = new SelectView(
                 this.$el.find('#' + dtype + '-selector'),
                 this.collection[dtype],
@@ -2190,6 +8276,25 @@ class SpekCheck
             this.view[dtype] = view;
         }
 
+        this.dye_state_view = new DyeStateView(
+            this.el.querySelector('#dye-state'),
+            this.live_setup
+        );
+
+        this.brightness_reference_view = new BrightnessReferenceView(
+            this.el.querySelector('#brightness-reference'),
+            this.collection.dye,
+            this.live_setup
+        );
+        this.brightness_reference_view.renderDyes();
+        this.brightness_reference_view.render();
+
+        this.source_power_view = new SourcePowerView(
+            this.el.querySelector('#source-power-card'),
+            this.live_setup
+        );
+        this.source_power_view.render();
+
         this.path_builder = new PathBuilder(
             this.el.querySelector('#path-builder'),
             this.collection.filter,
@@ -2209,20 +8314,84 @@ class SpekCheck
         // trigger a change of Dye.
         this.user_selected_dye = false;
 
+        // Collections not from read_collections may have no
+        // LocalStore, then local data is not kept across sessions.
+        this.local = (collections.local instanceof LocalStore
+                      ? collections.local
+                      : new LocalStore(null, this.collection,
+                                       'no local store for these collections'));
+
         this.save_setup_dialog = new SaveSetupDialog($('#save-setup-dialog'),
-                                                     this.collection.setup,
+                                                     this.local,
                                                      this.live_setup);
 
-        this.import_dialog = new ImportDialog($('#import-file-dialog'), {
+        this.import_dialog = new ImportDialog($('#import-file-dialog'),
+                                              this.local);
+
+        this.local_data_dialog = new LocalDataDialog(
+            this.el.querySelector('#local-data-dialog'),
+            this.local
+        );
+
+        // Runs the computations for the dialogs that test many
+        // combinations of data.
+        this.batch_runner = new BatchRunner({
             detector: this.collection.detector,
             dye: this.collection.dye,
-            filter: this.collection.filter,
             excitation: this.collection.excitation,
+            filter: this.collection.filter,
+            objective: this.collection.objective,
+            background: this.collection.background,
         });
 
         this.test_dyes_dialog = new TestDyesDialog(
             this.$el[0].querySelector('#test-dyes-dialog'),
             this.collection.dye,
+            this.live_setup,
+            this.batch_runner
+        );
+
+        this.crosstalk_dialog = new CrosstalkDialog(
+            this.el.querySelector('#crosstalk-dialog'),
+            this.collection,
+            this.live_setup,
+            this.batch_runner
+        );
+
+        this.spectral_optimise_dialog = new SpectralOptimiseDialog(
+            this.el.querySelector('#spectral-optimise-dialog'),
+            this.collection.dye,
+            this.live_setup,
+            this.path_builder.spectral_selection
+        );
+
+        this.synthetic_excitation_dialog = new SyntheticExcitationDialog(
+            this.el.querySelector('#synthetic-excitation-dialog'),
+            this.changeData.bind(this, 'excitation')
+        );
+
+        this.filter_design_dialog = new FilterDesignDialog(
+            this.el.querySelector('#filter-design-dialog'),
+            this.collection.filter
+        );
+
+        this.recommend_filters_dialog = new RecommendFiltersDialog(
+            this.el.querySelector('#recommend-filters-dialog'),
+            this.collection,
+            this.live_setup,
+            this.batch_runner
+        );
+
+        this.photon_budget_dialog = new PhotonBudgetDialog(
+            this.el.querySelector('#photon-budget-dialog'),
+            this.live_setup,
+            this.collection.detector,
+            this.batch_runner
+        );
+
+        this.fret_dialog = new FretDialog(
+            this.el.querySelector('#fret-dialog'),
+            this.collection.dye,
             this.live_setup
         );
 
@@ -2230,9 +8399,15 @@ class SpekCheck
             this.el.querySelector('#error-dialog')
         );
 
-        // If someone imports a Detector, Dye or Excitation, change to it.
-        for (let dtype of ['detector', 'dye', 'excitation'])
-            this.collection[dtype].on('add', this.changeData.bind(this, dtype));
+        // If someone imports a Detector, Dye, Excitation, Objective,
+        // or Background, change to it.  Generated data is only added
+        // when something changes to it.
+        for (let dtype of ['detector', 'dye', 'excitation', 'objective',
+                           'background'])
+            this.collection[dtype].on('add', (function(uid) {
+                if (! this.collection[dtype].isGenerated(uid))
+                    this.changeData(dtype, uid);
+            }).bind(this));
 
         // Filter out unwanted setups
         this.route_search(location.search);
@@ -2242,7 +8417,24 @@ class SpekCheck
 
     route_hash(hash) {
         hash = decodeURIComponent(hash);
-        for (let dir of ['#setup=', '#dye=', '#excitation=', '#detector=']) {
+        // A setup that is not on the setups file, see
+        // SaveSetupDialog.link.
+        if (hash.startsWith('#custom=')) {
+            let setup;
+            try {
+                setup = SetupDescription.fromJSON(
+                    JSON.parse(hash.slice('#custom='.length))
+                );
+            } catch (e) {
+                this.error_dialog.show(new Error('invalid custom setup in URL: '
+                                                 + e.message));
+                return;
+            }
+            this.changeSetupTo(setup, null);
+            return;
+        }
+        for (let dir of ['#setup=', '#dye=', '#excitation=', '#detector=',
+                         '#objective=', '#background=']) {
             if (hash.startsWith(dir)) {
                 const cname = dir.slice(1, -1);
                 const uid = hash.slice(dir.length);
@@ -2285,16 +8477,38 @@ class SpekCheck
     changeSetup(uid) {
         if (uid === null)
             return Promise.resolve(this.live_setup.empty());
+        return this.changeSetupTo(this.collection.setup.get(uid), uid);
+    }
 
-        const setup = this.collection.setup.get(uid);
+    // Like changeSetup, but for a SetupDescription that may not be
+    // on the setup collection, e.g., one from the URL.
+    //
+    // Args:
+    //     setup (SetupDescription):
+    //     uid (String|null): value to display on the setup
+    //         SelectView, null for the empty setup.
+    changeSetupTo(setup, uid) {
         const promises = [];
 
         // Only change dye if a user has not selected it manually.
         if (! this.user_selected_dye)
-            promises.push(this.changeData('dye', setup.dye));
+            promises.push(this.changeData('dye', setup.dye).then(
+                () => this.changeDyeState(setup.dye_state)
+            ));
 
         promises.push(this.changeData('detector', setup.detector));
         promises.push(this.changeData('excitation', setup.excitation));
+        // Older setups have no objective.
+        promises.push(this.changeData('objective', (setup.objective === undefined
+                                                    ? null : setup.objective)));
+        // The background is part of the sample, like the dye, so
+        // only change it if the setup has one.
+        if (setup.background !== null && setup.background !== undefined)
+            promises.push(this.changeData('background', setup.background));
+
+        // Older setups have no sampling, and keep the current one.
+        if (setup.sampling !== null && setup.sampling !== undefined)
+            this.live_setup.sampling = new Sampling(setup.sampling);
 
         for (let path_name of ['ex_path', 'em_path']) {
             // Avoid modifying the path if there will be no changes.
@@ -2313,16 +8527,20 @@ class SpekCheck
 
             const filter_promises = [];
             for (let fpos of setup[path_name]) {
-		// Handle spectral selections separately (only in em_path)
-                if (fpos.filter === 'spectral') {
-                    this.path_builder.spectral_selection.loadFromSetup(fpos);
-                    continue;
-                }
-                filter_promises.push(
-                    this.collection.filter.get(fpos.filter).then(
-                        (f) => ({filter: f, mode: fpos.mode})
-                    )
-                );
+                let filter;
+                if (fpos.filter === 'spectral')
+                    filter = Promise.resolve(SpectralSelectionFilter.fromDescription(
+                        fpos, this.live_setup.sampling
+                    ));
+                else if (fpos.design !== undefined)
+                    filter = FilterDesign.fromDescription(fpos.design).addTo(
+                        this.collection.filter
+                    );
+                else
+                    filter = this.collection.filter.get(fpos.filter);
+                filter_promises.push(filter.then(
+                    (f) => FilterStack.elemFromDescription(fpos, f)
+                ));
             }
             promises.push(Promise.all(filter_promises).then(
                 (filters) => path.push(...filters)
@@ -2354,6 +8572,9 @@ class SpekCheck
             this.live_setup[dtype] = data;
             const val = uid === null ? '' : uid;
             this.view[dtype].val(val);
+            this.view[dtype].$el.attr(
+                'title', data === null ? '' : data.metadata_lines.join('\n')
+            );
         }).bind(this);
         const log_failure = (function(err) {
             this.error_dialog.show(err);
@@ -2367,6 +8588,17 @@ class SpekCheck
         return get_data.then(change).catch(log_failure);
     }
 
+    // Args:
+    //     state (String): may be null or undefined, for setups with
+    //       no dye state, in which case the dye is not changed.
+    changeDyeState(state) {
+        const dye = this.live_setup.dye;
+        if (state === null || state === undefined || dye === null
+            || dye.state === state)
+            return;
+        this.live_setup.dye = dye.inState(state);
+    }
+
     handleChangeEv(dtype, ev) {
         const val = ev.target.value;
         const uid = val === '' ? null : val;
@@ -2418,12 +8650,23 @@ const spekcheck_db = {
         filepath: 'data/excitation.json',
         datadir: 'data/excitation/',
         reader: Excitation.constructFromText.bind(Excitation),
+        generator: Excitation.generate,
     },
     filter: {
         filepath: 'data/filters.json',
         datadir: 'data/filters/',
         reader: Filter.constructFromText.bind(Filter),
     },
+    objective: {
+        filepath: 'data/objectives.json',
+        datadir: 'data/objectives/',
+        reader: Objective.constructFromText.bind(Objective),
+    },
+    background: {
+        filepath: 'data/backgrounds.json',
+        datadir: 'data/backgrounds/',
+        reader: Background.constructFromText.bind(Background),
+    },
     setup: {
         filepath: 'data/setups.json',
     },
@@ -2431,13 +8674,18 @@ const spekcheck_db = {
 
 // Returns a promise of an Object with the collections.
 //
+// The data imported and setups saved by the user on previous
+// sessions are merged with the site data, see LocalStore.
+//
 // Args:
 //     db (Object): keys are the individual collections that will be
-//         created.  See the spekcheck_db variable.
+//         created.  See the spekcheck_db variable.  The 'objective'
+//         and 'background' keys are optional, and their collections
+//         empty without them.
 //
 // Returns:
 //     A promise of the collections Object that can be passed to
-//     construct SpekCheck.
+//     construct SpekCheck.  Its 'local' property is the LocalStore.
 function read_collections(db)
 {
     const collections = {};
@@ -2453,7 +8701,17 @@ function read_collections(db)
         },
     ));
 
-    for (let dtype of ['detector', 'dye', 'excitation', 'filter']) {
+    for (let dtype of ['detector', 'dye', 'excitation', 'filter', 'objective',
+                       'background']) {
+        // The objectives and backgrounds are optional, and may not
+        // be on the db of other sites.
+        if (db[dtype] === undefined
+            && (dtype === 'objective' || dtype === 'background')) {
+            collections[dtype] = new DataCollection(
+                [], null, spekcheck_db[dtype].reader
+            );
+            continue;
+        }
         promises.push($.ajax({
             url: db[dtype].filepath,
             dataType: 'json',
@@ -2464,6 +8722,7 @@ function read_collections(db)
                     data,
                     db[dtype].datadir,
                     db[dtype].reader,
+                    db[dtype].generator,
                 );
             },
             // Not sure how we can handle a failure here.  We could
@@ -2472,7 +8731,10 @@ function read_collections(db)
         ));
     }
     return Promise.all(promises).then(
-        () => collections,
+        () => LocalStore.open(collections).then(function(local) {
+            collections.local = local;
+            return collections;
+        }),
         (reason) => {new Error('failed to read collection: ' + reason)},
     );
 }
@@ -2500,7 +8762,7 @@ function main(el=document.querySelector('#spekcheck'),
         'dataType': 'html',
     }).then((data) => el.innerHTML = data);
 
-    read_collections(spekcheck_db).then(function(collections) {
+    read_collections(db).then(function(collections) {
         injected.then(
             () => new SpekCheck($(el), collections));
     });